@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  decodeFitFile,
+  encodeFitFile,
+  encodeGpxFile,
+  encodeTcxFile,
+  encodeSegmentFiles,
+  validateFitFile,
+  mergeParsedFiles,
+  getSourceSegments,
+  buildSegmentsFromCuts,
+  segmentByPreset,
+  detectSegments,
+  findRecordIndexAtElapsed,
+  parseElapsed,
+  parsePresets,
+  parseProject,
+  normalizeSubSport,
+  formatDuration,
+  formatDistance,
+  PRESETS,
+  SPORT_TYPES,
+} from '../src/index.js';
+
+const USAGE = `Uso: fit-sport-editor <entrada.fit> [más entradas .fit...] [opciones]
+
+Con varias entradas se unen en una sola actividad, un segmento por archivo
+(y una transición por cada hueco entre ellos, salvo con --keep-gaps).
+
+Opciones:
+  -p, --preset <nombre>   Preset de segmentación (${Object.keys(PRESETS).join(', ')}
+                          o el nombre de uno de --presets)
+      --presets <fichero> JSON de presets propios exportado desde la app
+  -a, --auto              Detecta los segmentos (y sus transiciones) automáticamente
+  -j, --project <fichero> Segmentos de un proyecto guardado desde la app
+  -c, --cuts <tiempos>    Cortes separados por comas, en tiempo transcurrido
+                          (segundos, m:ss o h:mm:ss), p. ej. 25:30,27:10,1:32:05
+  -s, --sports <lista>    Deporte de cada segmento separado por comas, con subtipo
+                          opcional tras "/", p. ej. running,transition,cycling/road
+  -d, --discard <lista>   Números de los segmentos a descartar (empezando en 1),
+                          separados por comas, p. ej. 1,4
+  -o, --output <fichero>  Fichero de salida (por defecto <entrada>_multisport.fit);
+                          con extensión .tcx o .gpx se exporta en ese formato
+  -m, --mode <modo>       full (por defecto) o minimal, solo para FIT
+      --split             Guarda cada segmento como una actividad FIT independiente
+                          (<salida>_1_<deporte>.fit, <salida>_2_<deporte>.fit...)
+      --keep-gaps         Al unir archivos, deja los huecos como pausas
+  -h, --help              Muestra esta ayuda`;
+
+/**
+ * Seconds of an elapsed time like "90", "1:30" or "1:01:30" (see parseElapsed())
+ */
+function parseCutTime(value) {
+  const seconds = parseElapsed(value);
+  if (seconds == null) {
+    throw new Error(`Tiempo no válido: "${value}"`);
+  }
+  return seconds;
+}
+
+function parseSports(value) {
+  return value.split(',').map((entry) => {
+    const [sport, subSport = 'generic'] = entry.trim().split('/');
+    if (!SPORT_TYPES.some((s) => s.value === sport)) {
+      throw new Error(`Deporte desconocido: "${sport}"`);
+    }
+    return { sport, subSport: normalizeSubSport(sport, subSport) };
+  });
+}
+
+function parseDiscard(value, segmentCount) {
+  return new Set(value.split(',').map((entry) => {
+    const number = Number(entry.trim());
+    if (!Number.isInteger(number) || number < 1 || number > segmentCount) {
+      throw new Error(`Segmento no válido para descartar: "${entry}"`);
+    }
+    return number - 1;
+  }));
+}
+
+/**
+ * A preset from the --presets file by name, or the name itself for the built-in ones
+ */
+async function resolvePreset(name, presetsPath) {
+  if (!presetsPath) return name;
+  const userPresets = parsePresets(await readFile(presetsPath, 'utf8'));
+  return userPresets.find((p) => p.label === name) ?? name;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      preset: { type: 'string', short: 'p' },
+      presets: { type: 'string' },
+      auto: { type: 'boolean', short: 'a' },
+      project: { type: 'string', short: 'j' },
+      cuts: { type: 'string', short: 'c' },
+      sports: { type: 'string', short: 's' },
+      discard: { type: 'string', short: 'd' },
+      output: { type: 'string', short: 'o' },
+      mode: { type: 'string', short: 'm', default: 'full' },
+      split: { type: 'boolean' },
+      'keep-gaps': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const merging = positionals.length > 1;
+  if (values.help || positionals.length === 0 || (!merging && !values.preset && !values.cuts && !values.auto && !values.project)) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const inputPath = positionals[0];
+  const outputPath = values.output ?? inputPath.replace(/\.fit$/i, '') + '_multisport.fit';
+
+  const sourceFiles = [];
+  for (const path of positionals) {
+    const buffer = await readFile(path);
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    sourceFiles.push({ name: path, parsedData: decodeFitFile(arrayBuffer) });
+  }
+
+  const parsedData = merging
+    ? mergeParsedFiles(sourceFiles, { gapsAsTransitions: !values['keep-gaps'] })
+    : sourceFiles[0].parsedData;
+  const { records } = parsedData;
+
+  if (records.length === 0) {
+    throw new Error('El archivo no contiene registros.');
+  }
+
+  let segments;
+  if (values.project) {
+    segments = parseProject(await readFile(values.project, 'utf8'), records);
+  } else if (values.cuts) {
+    const cuts = [...new Set(values.cuts.split(',').map((t) => findRecordIndexAtElapsed(records, parseCutTime(t))))]
+      .filter((idx) => idx > 0 && idx < records.length - 1)
+      .sort((a, b) => a - b);
+    segments = buildSegmentsFromCuts(records, cuts);
+  } else if (values.preset) {
+    const preset = await resolvePreset(values.preset, values.presets);
+    segments = segmentByPreset(records, preset, { timerEvents: parsedData.timerEvents }).segments;
+  } else if (values.auto) {
+    segments = detectSegments(records, { timerEvents: parsedData.timerEvents }).segments;
+  } else {
+    segments = getSourceSegments(parsedData);
+  }
+
+  if (values.sports) {
+    const sports = parseSports(values.sports);
+    if (sports.length !== segments.length) {
+      throw new Error(`Se indicaron ${sports.length} deportes para ${segments.length} segmentos.`);
+    }
+    segments = segments.map((segment, i) => ({ ...segment, ...sports[i] }));
+  }
+
+  if (values.discard) {
+    const discarded = parseDiscard(values.discard, segments.length);
+    segments = segments.map((segment, i) => ({ ...segment, discard: discarded.has(i) }));
+  }
+
+  const extension = outputPath.toLowerCase().split('.').pop();
+  const savedPaths = [];
+  const problems = [];
+  let encoded;
+  if (values.split) {
+    const base = outputPath.replace(/\.fit$/i, '');
+    for (const file of encodeSegmentFiles(parsedData, segments, { mode: values.mode })) {
+      const path = `${base}_${file.segmentIndex + 1}_${file.segment.sport}.fit`;
+      await writeFile(path, file.data);
+      savedPaths.push(path);
+
+      const onlyThisSegment = segments.map((s, i) => ({ ...s, discard: i !== file.segmentIndex }));
+      const { checks } = validateFitFile(parsedData, onlyThisSegment, file.data);
+      problems.push(...checks.map((check) => ({ ...check, message: `${path}: ${check.message}` })));
+    }
+  } else if (extension === 'tcx') {
+    encoded = encodeTcxFile(parsedData, segments);
+  } else if (extension === 'gpx') {
+    encoded = encodeGpxFile(parsedData, segments);
+  } else {
+    encoded = encodeFitFile(parsedData, segments, { mode: values.mode });
+    problems.push(...validateFitFile(parsedData, segments, encoded).checks);
+  }
+  if (encoded) {
+    await writeFile(outputPath, encoded);
+    savedPaths.push(outputPath);
+  }
+
+  const startMs = records[0].timestamp.getTime();
+  segments.forEach((seg, i) => {
+    const first = records[seg.startRecordIndex];
+    const last = records[seg.endRecordIndex];
+    const start = formatDuration((first.timestamp.getTime() - startMs) / 1000);
+    const duration = formatDuration((last.timestamp.getTime() - first.timestamp.getTime()) / 1000);
+    const distance = formatDistance((last.distance ?? 0) - (first.distance ?? 0));
+    const note = seg.discard ? '  (descartado)' : '';
+    const confidence = seg.confidence != null ? `  confianza ${Math.round(seg.confidence * 100)} %` : '';
+    console.log(`${i + 1}. ${seg.sport}/${seg.subSport}  inicio ${start}  duración ${duration}  ${distance}${confidence}${note}`);
+  });
+  console.log(`Guardado en ${savedPaths.join(', ')}`);
+
+  for (const { level, message } of problems) {
+    console.warn(`${level === 'error' ? 'Error' : 'Aviso'} de comprobación: ${message}`);
+  }
+  if (problems.some((p) => p.level === 'error')) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
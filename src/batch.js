@@ -0,0 +1,54 @@
+import { segmentByPreset, detectSegments } from './segmentation.js';
+import { createZip } from './zip.js';
+import { createError, serializeError } from './errors.js';
+
+/**
+ * Segments of one activity with a preset, or with the automatic detection for 'auto'
+ *
+ * @param {Object} parsedData - Data from decodeFitFile()
+ * @param {string|Object} preset - 'auto', a key of PRESETS or a preset { label, sports }
+ * @returns {{ cuts: Array<number>, segments: Array }}
+ */
+export function segmentActivity(parsedData, preset) {
+  const options = { timerEvents: parsedData.timerEvents };
+  return preset === 'auto'
+    ? detectSegments(parsedData.records, options)
+    : segmentByPreset(parsedData.records, preset, options);
+}
+
+/**
+ * Encodes every activity of a batch and bundles them in a ZIP, one file each named
+ * after its source (<name>_multisport.<extension>, or <name>_2_multisport... if taken).
+ *
+ * @param {Array} items - Array of { name, parsedData, segments }
+ * @param {Function} encode - encodeFitFile, encodeTcxFile or encodeGpxFile, or a function
+ *   called like them with the item as a third argument
+ * @param {string} extension - Extension of the encoded files
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function encodeBatch(items, encode, extension) {
+  const encoder = new TextEncoder();
+  const usedNames = new Set();
+
+  const files = items.map((item) => {
+    let data;
+    try {
+      data = encode(item.parsedData, item.segments, item);
+    } catch (err) {
+      throw createError('batchItem', { name: item.name, error: serializeError(err) }, `${item.name}: ${err.message}`);
+    }
+
+    const baseName = item.name.replace(/\.fit$/i, '');
+    let name = `${baseName}_multisport.${extension}`;
+    for (let n = 2; usedNames.has(name); n++) name = `${baseName}_${n}_multisport.${extension}`;
+    usedNames.add(name);
+
+    return {
+      name,
+      data: typeof data === 'string' ? encoder.encode(data) : data,
+      date: item.parsedData.records[0].timestamp,
+    };
+  });
+
+  return createZip(files);
+}
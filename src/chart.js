@@ -9,6 +9,8 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import { formatDuration, getSpeedDisplay, UNIT_SYSTEMS } from './fit-parser.js';
+import { t, formatNumber, getLocaleTag, getUnitSystem } from './i18n.js';
 
 Chart.register(
   LineController,
@@ -22,43 +24,132 @@ Chart.register(
 );
 
 let chartInstance = null;
-let cutMarkers = [];
+let chartRecords = [];
+let recordMinutes = []; // Elapsed minutes of each record
+let recordX = []; // Position of each record on the x axis (minutes, or km or miles)
+let indexMap = []; // Maps chart data index back to original records index
+let cutMarkers = []; // Sorted record indices where a new segment starts
+let selectedMarker = null; // Position in cutMarkers of the cut that the keyboard moves
+let view = null; // Visible { min, max } in x axis units, or null for the whole activity
+let xAxisMode = 'time';
+let paceDisplay = 'pace'; // Pace per km/mile, or 'swimPace' per 100 m/yd (see getSpeedDisplay())
+// Kept between files, like the user's choice of x axis
+const visibleChannels = new Set(['speed', 'heartRate']);
+let pointerState = null; // Press in progress: { type: 'marker' | 'pan', startX, lastX, moved, markerPos }
 let onCutMarkersChange = null;
+let onHoverRecordChange = null;
 
 const CUT_LINE_COLOR = 'rgba(239, 68, 68, 0.8)';
+const SELECTED_CUT_COLOR = '#f59e0b';
 const CUT_LINE_DASH = [6, 4];
 
+// Points drawn per dataset: zooming in until fewer records are visible shows every record
+const MAX_POINTS = 2000;
+const MARKER_GRAB_PX = 8;
+const DRAG_THRESHOLD_PX = 4;
+const ZOOM_FACTOR = 1.25;
+const NUDGE_SECONDS = 10;
+// Slower than this (30 min/km) the pace is left out instead of stretching its axis
+const MIN_PACE_SPEED = 1000 / 1800;
+
+/**
+ * Datasets that can be shown on the chart, each on its own y axis (named by getChannelName()).
+ * unit is the unit label, or a function of the current UNIT_SYSTEMS entry that returns it.
+ */
+export const CHART_CHANNELS = [
+  {
+    key: 'speed',
+    unit: (units) => units.speed.unit,
+    color: '#00b4d8',
+    axis: { position: 'left', min: 0 },
+    value: (r) => (r.speed != null ? (r.speed * 3600) / getUnits().speed.meters : null), // m/s -> km/h or mph
+  },
+  {
+    key: 'heartRate',
+    unit: 'bpm',
+    color: 'rgba(239, 68, 68, 0.5)',
+    axis: { position: 'right', min: 0 },
+    value: (r) => r.heartRate ?? null,
+  },
+  {
+    key: 'pace',
+    unit: (units) => units[paceDisplay].unit,
+    color: '#a78bfa',
+    // Faster paces are lower numbers, so the axis goes downwards
+    axis: { position: 'left', reverse: true },
+    value: (r) => {
+      if (r.speed == null || r.speed < MIN_PACE_SPEED) return null;
+      return getUnits()[paceDisplay].meters / r.speed / 60;
+    },
+    formatValue: (value) => formatDuration(value * 60),
+  },
+  {
+    key: 'altitude',
+    unit: (units) => units.elevation.unit,
+    color: '#22c55e',
+    axis: { position: 'left' },
+    value: (r) => (r.altitude != null ? r.altitude / getUnits().elevation.meters : null),
+  },
+  {
+    key: 'cadence',
+    unit: 'rpm',
+    color: '#f59e0b',
+    axis: { position: 'right', min: 0 },
+    value: (r) => r.cadence ?? null,
+  },
+  {
+    key: 'power',
+    unit: 'W',
+    color: '#e879f9',
+    axis: { position: 'right', min: 0 },
+    value: (r) => r.power ?? null,
+  },
+];
+
+/**
+ * Units of the x axis. minSpan is the narrowest zoom. The distance title takes the unit.
+ */
+const X_AXES = {
+  time: { titleKey: 'chart.axisTitle.time', minSpan: 0.5 },
+  distance: { titleKey: 'chart.axisTitle.distance', minSpan: 0.05 },
+};
+// Cuts can't be closer than this to the start or end of the activity
+const EDGE_RECORDS = 5;
+
 /**
  * Vertical line plugin to draw cut markers
  */
 const cutLinePlugin = {
   id: 'cutLines',
   afterDraw(chart) {
+    if (chart !== chartInstance) return;
+
     const ctx = chart.ctx;
     const xScale = chart.scales.x;
-    const yScale = chart.scales.y;
+    const { top, bottom } = chart.chartArea;
 
-    cutMarkers.forEach((markerIndex, i) => {
-      const meta = chart.getDatasetMeta(0);
-      if (!meta.data[markerIndex]) return;
+    cutMarkers.forEach((recordIndex, i) => {
+      const x = xScale.getPixelForValue(recordX[recordIndex]);
+      if (x < chart.chartArea.left || x > chart.chartArea.right) return;
 
-      const x = meta.data[markerIndex].x;
+      const selected = i === selectedMarker;
+      const color = selected ? SELECTED_CUT_COLOR : CUT_LINE_COLOR;
 
       ctx.save();
       ctx.beginPath();
-      ctx.setLineDash(CUT_LINE_DASH);
-      ctx.strokeStyle = CUT_LINE_COLOR;
-      ctx.lineWidth = 2;
-      ctx.moveTo(x, yScale.top);
-      ctx.lineTo(x, yScale.bottom);
+      ctx.setLineDash(selected ? [] : CUT_LINE_DASH);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = selected ? 3 : 2;
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
       ctx.stroke();
 
       // Label
       ctx.setLineDash([]);
-      ctx.fillStyle = CUT_LINE_COLOR;
+      ctx.fillStyle = color;
       ctx.font = 'bold 11px sans-serif';
       ctx.textAlign = 'center';
-      ctx.fillText(`Corte ${i + 1}`, x, yScale.top - 6);
+      ctx.fillText(t('chart.cut', { n: i + 1 }), x, top - 6);
       ctx.restore();
     });
   },
@@ -67,222 +158,512 @@ const cutLinePlugin = {
 Chart.register(cutLinePlugin);
 
 /**
- * Creates the speed chart with click-to-cut functionality
+ * Creates the speed chart. Clicking adds a cut, cuts can be dragged, the mouse wheel zooms
+ * the x axis (dragging pans it) and the arrow keys nudge the selected cut.
+ * onHoverRecord, if given, is called with the record index under the cursor (null when it leaves).
+ * The pace is shown the way the activity's sport measures it: per 100 m (or yd) swimming,
+ * per km (or mile) otherwise.
  */
-export function createSpeedChart(canvasId, records, onMarkersChange) {
-  onCutMarkersChange = onMarkersChange;
-  cutMarkers = [];
-
-  const canvas = document.getElementById(canvasId);
-
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
-  }
+export function createSpeedChart(canvasId, records, onMarkersChange, onHoverRecord = null, { sport = null } = {}) {
+  destroyChart();
 
-  // Prepare data - sample if too many points for performance
-  const maxPoints = 2000;
-  const step = records.length > maxPoints ? Math.ceil(records.length / maxPoints) : 1;
+  onCutMarkersChange = onMarkersChange;
+  onHoverRecordChange = onHoverRecord;
+  chartRecords = records;
+  paceDisplay = getSpeedDisplay(sport) === 'swimPace' ? 'swimPace' : 'pace';
 
   const startTime = records[0]?.timestamp?.getTime() ?? 0;
+  recordMinutes = records.map((r) => (r.timestamp.getTime() - startTime) / 60000);
+  recordX = computeAxisValues(xAxisMode);
 
-  const labels = [];
-  const speedData = [];
-  const hrData = [];
-  const indexMap = []; // Maps chart data index back to original records index
-
-  for (let i = 0; i < records.length; i += step) {
-    const r = records[i];
-    const elapsedMin = (r.timestamp.getTime() - startTime) / 60000;
-    labels.push(elapsedMin);
-    speedData.push(r.speed != null ? r.speed * 3.6 : null); // m/s -> km/h
-    hrData.push(r.heartRate);
-    indexMap.push(i);
-  }
+  const canvas = document.getElementById(canvasId);
+  canvas.tabIndex = 0;
+
+  const scales = {
+    x: {
+      type: 'linear',
+      title: {
+        display: true,
+        text: getXAxisTitle(),
+        color: '#6b7280',
+      },
+      ticks: {
+        color: '#6b7280',
+        callback: formatTick,
+      },
+      grid: { color: 'rgba(58, 63, 74, 0.5)' },
+    },
+  };
+
+  CHART_CHANNELS.forEach((channel, i) => {
+    scales[channel.key] = {
+      type: 'linear',
+      // Only shown while one of its datasets is
+      display: 'auto',
+      position: channel.axis.position,
+      reverse: channel.axis.reverse ?? false,
+      min: channel.axis.min,
+      title: {
+        display: true,
+        text: getChannelLabel(channel),
+        color: channel.color,
+      },
+      ticks: {
+        color: '#6b7280',
+        callback: channel.formatValue,
+      },
+      // Grid lines from the first axis only
+      grid: i === 0 ? { color: 'rgba(58, 63, 74, 0.3)' } : { display: false },
+    };
+  });
 
   chartInstance = new Chart(canvas, {
     type: 'line',
     data: {
-      labels,
-      datasets: [
-        {
-          label: 'Velocidad (km/h)',
-          data: speedData,
-          borderColor: '#00b4d8',
-          backgroundColor: 'rgba(0, 180, 216, 0.1)',
-          borderWidth: 1.5,
-          pointRadius: 0,
-          pointHitRadius: 8,
-          fill: true,
-          tension: 0.3,
-          yAxisID: 'y',
-        },
-        {
-          label: 'FC (bpm)',
-          data: hrData,
-          borderColor: 'rgba(239, 68, 68, 0.5)',
-          borderWidth: 1,
-          pointRadius: 0,
-          pointHitRadius: 0,
-          fill: false,
-          tension: 0.3,
-          yAxisID: 'y1',
-        },
-      ],
+      datasets: CHART_CHANNELS.map((channel, i) => ({
+        label: getChannelLabel(channel),
+        data: [],
+        hidden: !visibleChannels.has(channel.key),
+        borderColor: channel.color,
+        backgroundColor: i === 0 ? 'rgba(0, 180, 216, 0.1)' : undefined,
+        borderWidth: i === 0 ? 1.5 : 1,
+        pointRadius: 0,
+        pointHitRadius: i === 0 ? 8 : 0,
+        fill: i === 0,
+        tension: 0.3,
+        yAxisID: channel.key,
+      })),
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      // Number format of the y axis ticks
+      locale: getLocaleTag(),
+      // Room for the cut labels above the plot
+      layout: { padding: { top: 18 } },
       interaction: {
         mode: 'index',
         intersect: false,
       },
       plugins: {
-        legend: {
-          labels: {
-            color: '#9aa0a6',
-            font: { size: 11 },
-          },
-        },
+        // The channels are toggled from the page
+        legend: { display: false },
         tooltip: {
           backgroundColor: '#2a2f38',
           titleColor: '#e8eaed',
           bodyColor: '#9aa0a6',
           borderColor: '#3a3f4a',
           borderWidth: 1,
+          // Channels without data at this point
+          filter: (item) => item.parsed.y != null,
           callbacks: {
             title: (items) => {
-              const min = items[0].label;
-              const totalMin = parseFloat(min);
-              const h = Math.floor(totalMin / 60);
-              const m = Math.floor(totalMin % 60);
-              const s = Math.floor((totalMin * 60) % 60);
-              return h > 0
-                ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
-                : `${m}:${String(s).padStart(2, '0')}`;
+              const recordIndex = indexMap[items[0].dataIndex];
+              const { distance } = chartRecords[recordIndex];
+              const elapsed = formatElapsed(recordMinutes[recordIndex], true);
+              if (distance == null) return elapsed;
+              const { meters, unit } = getUnits().distance;
+              return `${elapsed} · ${formatDistanceValue(distance / meters, 2)} ${unit}`;
             },
-          },
-        },
-      },
-      scales: {
-        x: {
-          type: 'linear',
-          title: {
-            display: true,
-            text: 'Tiempo (min)',
-            color: '#6b7280',
-          },
-          ticks: {
-            color: '#6b7280',
-            callback: (value) => {
-              const h = Math.floor(value / 60);
-              const m = Math.floor(value % 60);
-              return h > 0 ? `${h}:${String(m).padStart(2, '0')}` : `${m}`;
+            label: (item) => {
+              const channel = CHART_CHANNELS[item.datasetIndex];
+              const value = channel.formatValue
+                ? channel.formatValue(item.parsed.y)
+                : formatNumber(item.parsed.y, { maximumFractionDigits: 1 });
+              return `${getChannelName(channel)}: ${value} ${getChannelUnit(channel)}`;
             },
           },
-          grid: { color: 'rgba(58, 63, 74, 0.5)' },
-        },
-        y: {
-          type: 'linear',
-          position: 'left',
-          title: {
-            display: true,
-            text: 'Velocidad (km/h)',
-            color: '#00b4d8',
-          },
-          ticks: { color: '#6b7280' },
-          grid: { color: 'rgba(58, 63, 74, 0.3)' },
-          min: 0,
-        },
-        y1: {
-          type: 'linear',
-          position: 'right',
-          title: {
-            display: true,
-            text: 'FC (bpm)',
-            color: 'rgba(239, 68, 68, 0.5)',
-          },
-          ticks: { color: '#6b7280' },
-          grid: { display: false },
-          min: 0,
         },
       },
-      onClick: (event, elements, chart) => {
-        handleChartClick(event, chart, records, indexMap);
+      scales,
+      onHover: (event, elements) => {
+        if (!onHoverRecordChange) return;
+        const inside = event.type !== 'mouseout' && elements.length > 0;
+        onHoverRecordChange(inside ? indexMap[elements[0].index] : null);
       },
     },
   });
 
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('pointercancel', handlePointerUp);
+  canvas.addEventListener('wheel', handleWheel, { passive: false });
+  canvas.addEventListener('dblclick', resetChartZoom);
+  canvas.addEventListener('keydown', handleKeyDown);
+
+  updateChartData();
   return chartInstance;
 }
 
 /**
- * Handle click on chart to place/remove cut markers
+ * Fill the datasets with the records in view, downsampled to MAX_POINTS
  */
-function handleChartClick(event, chart, records, indexMap) {
-  const xScale = chart.scales.x;
-  const rect = chart.canvas.getBoundingClientRect();
-  const clickX = event.native.clientX - rect.left;
-
-  // Find closest data point
-  const meta = chart.getDatasetMeta(0);
-  let closestIdx = 0;
-  let closestDist = Infinity;
-
-  for (let i = 0; i < meta.data.length; i++) {
-    const dist = Math.abs(meta.data[i].x - clickX);
-    if (dist < closestDist) {
-      closestDist = dist;
-      closestIdx = i;
-    }
+function updateChartData() {
+  const lastIndex = chartRecords.length - 1;
+  const { min, max } = getVisibleRange();
+
+  // One record beyond each edge so the lines reach the sides of the chart
+  const first = Math.max(0, findRecordAfter(recordX, min) - 1);
+  const last = Math.min(lastIndex, findRecordAfter(recordX, max));
+  const step = Math.max(1, Math.ceil((last - first + 1) / MAX_POINTS));
+
+  const data = CHART_CHANNELS.map(() => []);
+  indexMap = [];
+
+  for (let i = first; i <= last; i += step) {
+    const r = chartRecords[i];
+    const x = recordX[i];
+    CHART_CHANNELS.forEach((channel, c) => data[c].push({ x, y: channel.value(r) }));
+    indexMap.push(i);
   }
 
-  const recordIndex = indexMap[closestIdx];
+  data.forEach((points, c) => {
+    chartInstance.data.datasets[c].data = points;
+  });
+  chartInstance.options.scales.x.min = min;
+  chartInstance.options.scales.x.max = max;
+  chartInstance.update('none');
+}
 
-  // Check if clicking near an existing marker (within 10px) - remove it
-  const existingMarkerIdx = cutMarkers.findIndex((m) => {
-    const mChartIdx = indexMap.indexOf(m) !== -1
-      ? indexMap.indexOf(m)
-      : indexMap.findIndex((im) => Math.abs(im - m) <= 1);
-    if (mChartIdx === -1) return false;
-    const mX = meta.data[mChartIdx]?.x ?? 0;
-    return Math.abs(mX - clickX) < 15;
+/**
+ * Position of each record on the x axis: elapsed minutes, or km or miles (carried over
+ * records without a distance, and never going backwards so lookups can bisect)
+ */
+function computeAxisValues(mode) {
+  if (mode !== 'distance') return recordMinutes;
+
+  const { meters } = getUnits().distance;
+  let position = 0;
+  return chartRecords.map((r) => {
+    if (r.distance != null) position = Math.max(position, r.distance / meters);
+    return position;
   });
+}
+
+function getUnits() {
+  return UNIT_SYSTEMS[getUnitSystem()];
+}
+
+function getChannelUnit(channel) {
+  return typeof channel.unit === 'function' ? channel.unit(getUnits()) : channel.unit;
+}
+
+function getXAxisTitle() {
+  return t(X_AXES[xAxisMode].titleKey, { unit: getUnits().distance.unit });
+}
+
+/**
+ * Name of one of CHART_CHANNELS in the UI language
+ */
+export function getChannelName(channel) {
+  return t(`chart.channel.${channel.key}`);
+}
+
+function getChannelLabel(channel) {
+  return `${getChannelName(channel)} (${getChannelUnit(channel)})`;
+}
+
+// ===== Pointer and keyboard handling =====
+function handlePointerDown(event) {
+  if (event.button !== 0 || !isInChartArea(event)) return;
+
+  const x = getCanvasX(event);
+  const markerPos = findMarkerAtPixel(x);
+  pointerState = { type: markerPos != null ? 'marker' : 'pan', startX: x, lastX: x, moved: false, markerPos };
+
+  if (markerPos != null) {
+    selectedMarker = markerPos;
+    chartInstance.draw();
+  }
+  chartInstance.canvas.setPointerCapture(event.pointerId);
+}
+
+function handlePointerMove(event) {
+  const canvas = chartInstance.canvas;
+  const x = getCanvasX(event);
+
+  if (!pointerState) {
+    canvas.style.cursor = findMarkerAtPixel(x) != null ? 'ew-resize' : 'crosshair';
+    return;
+  }
+  if (!pointerState.moved && Math.abs(x - pointerState.startX) < DRAG_THRESHOLD_PX) return;
+  pointerState.moved = true;
+
+  if (pointerState.type === 'marker') {
+    moveMarker(pointerState.markerPos, findNearestRecord(recordX, chartInstance.scales.x.getValueForPixel(x)));
+    chartInstance.draw();
+  } else if (view) {
+    canvas.style.cursor = 'grabbing';
+    panBy(pointerState.lastX - x);
+  }
+  pointerState.lastX = x;
+}
+
+function handlePointerUp(event) {
+  if (!pointerState) return;
+  const { type, moved, markerPos } = pointerState;
+  pointerState = null;
+  chartInstance.canvas.style.cursor = 'crosshair';
+
+  if (type === 'marker') {
+    // Clicking a cut only selects it; dragging moves it
+    if (moved) {
+      selectedMarker = markerPos;
+      notifyMarkersChange();
+    }
+    return;
+  }
+
+  if (!moved && event.type === 'pointerup') {
+    const value = chartInstance.scales.x.getValueForPixel(getCanvasX(event));
+    addMarker(findNearestRecord(recordX, value));
+  }
+}
+
+function handleWheel(event) {
+  if (!isInChartArea(event) || getFullRange().max <= 0) return;
+  event.preventDefault();
+
+  const center = chartInstance.scales.x.getValueForPixel(getCanvasX(event));
+  zoomAround(center, event.deltaY < 0 ? 1 / ZOOM_FACTOR : ZOOM_FACTOR);
+}
 
-  if (existingMarkerIdx !== -1) {
-    cutMarkers.splice(existingMarkerIdx, 1);
+/**
+ * Arrow keys move the selected cut by one record (by NUDGE_SECONDS with Shift),
+ * Delete removes it and Escape deselects it
+ */
+function handleKeyDown(event) {
+  if (selectedMarker == null) return;
+
+  if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+    const direction = event.key === 'ArrowLeft' ? -1 : 1;
+    const recordIndex = cutMarkers[selectedMarker];
+    const target = event.shiftKey
+      ? findRecordByTime(recordMinutes[recordIndex] + (direction * NUDGE_SECONDS) / 60, direction)
+      : recordIndex + direction;
+
+    if (moveMarker(selectedMarker, target)) {
+      showRecord(cutMarkers[selectedMarker]);
+      chartInstance.draw();
+      notifyMarkersChange();
+    }
+  } else if (event.key === 'Delete' || event.key === 'Backspace') {
+    cutMarkers.splice(selectedMarker, 1);
+    selectedMarker = null;
+    chartInstance.draw();
+    notifyMarkersChange();
+  } else if (event.key === 'Escape') {
+    selectedMarker = null;
+    chartInstance.draw();
   } else {
-    // Don't allow cuts at very start or end
-    if (recordIndex < 5 || recordIndex > records.length - 5) return;
-    cutMarkers.push(closestIdx);
-    cutMarkers.sort((a, b) => a - b);
+    return;
   }
+  event.preventDefault();
+}
+
+// ===== Cut markers =====
+/**
+ * Add a cut at a record and select it. Cuts at the very start or end are ignored.
+ */
+function addMarker(recordIndex) {
+  if (recordIndex < EDGE_RECORDS || recordIndex > chartRecords.length - EDGE_RECORDS) return;
+  if (cutMarkers.includes(recordIndex)) return;
+
+  cutMarkers.push(recordIndex);
+  cutMarkers.sort((a, b) => a - b);
+  selectedMarker = cutMarkers.indexOf(recordIndex);
+  chartInstance.draw();
+  notifyMarkersChange();
+}
 
-  chart.update('none');
+/**
+ * Move a cut to a record, kept between its neighbours
+ *
+ * @returns {boolean} Whether the cut moved
+ */
+function moveMarker(markerPos, recordIndex) {
+  const lo = markerPos > 0 ? cutMarkers[markerPos - 1] + 1 : EDGE_RECORDS;
+  const hi = markerPos < cutMarkers.length - 1
+    ? cutMarkers[markerPos + 1] - 1
+    : chartRecords.length - EDGE_RECORDS;
+  const clamped = Math.min(Math.max(recordIndex, lo), hi);
+
+  if (clamped === cutMarkers[markerPos]) return false;
+  cutMarkers[markerPos] = clamped;
+  return true;
+}
+
+function findMarkerAtPixel(x) {
+  const xScale = chartInstance.scales.x;
+  let closest = null;
+  let closestDist = MARKER_GRAB_PX;
 
+  cutMarkers.forEach((recordIndex, i) => {
+    const dist = Math.abs(xScale.getPixelForValue(recordX[recordIndex]) - x);
+    if (dist <= closestDist) {
+      closest = i;
+      closestDist = dist;
+    }
+  });
+  return closest;
+}
+
+function notifyMarkersChange() {
   if (onCutMarkersChange) {
-    // Convert chart indices back to record indices
-    const recordIndices = cutMarkers.map((ci) => indexMap[ci]);
-    onCutMarkersChange(recordIndices);
+    onCutMarkersChange([...cutMarkers]);
   }
 }
 
+// ===== Zoom and pan =====
+function zoomAround(center, factor) {
+  const { min, max } = getVisibleRange();
+  const span = (max - min) * factor;
+  const ratio = (center - min) / (max - min);
+  setView(center - ratio * span, span);
+}
+
+function panBy(dxPx) {
+  const { min, max } = getVisibleRange();
+  const { left, right } = chartInstance.chartArea;
+  setView(min + (dxPx * (max - min)) / (right - left), max - min);
+}
+
+/**
+ * Show span x axis units from min, clamped to the activity (the whole of it resets the zoom)
+ */
+function setView(min, span) {
+  const full = getFullRange();
+  const clampedSpan = Math.max(span, X_AXES[xAxisMode].minSpan);
+
+  if (clampedSpan >= full.max - full.min) {
+    view = null;
+  } else {
+    const start = Math.min(Math.max(min, full.min), full.max - clampedSpan);
+    view = { min: start, max: start + clampedSpan };
+  }
+  updateChartData();
+}
+
+/**
+ * Pan the zoomed view so that a record is visible
+ */
+function showRecord(recordIndex) {
+  if (!view) return;
+  const x = recordX[recordIndex];
+  if (x >= view.min && x <= view.max) return;
+
+  const span = view.max - view.min;
+  setView(x - span / 2, span);
+}
+
+function getFullRange() {
+  return { min: recordX[0] ?? 0, max: recordX[recordX.length - 1] ?? 0 };
+}
+
+function getVisibleRange() {
+  return view ?? getFullRange();
+}
+
+function getVisibleSpan() {
+  const { min, max } = getVisibleRange();
+  return max - min;
+}
+
+// ===== Record lookup =====
+/**
+ * Index of the first record at or after a value of a non-decreasing per-record array
+ * (recordMinutes or recordX); the last record if none
+ */
+function findRecordAfter(values, value) {
+  let lo = 0;
+  let hi = values.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function findNearestRecord(values, value) {
+  const after = findRecordAfter(values, value);
+  if (after === 0) return 0;
+  return value - values[after - 1] < values[after] - value ? after - 1 : after;
+}
+
+/**
+ * Record reached by moving to an elapsed time: the first one at or after it moving forwards,
+ * the last one at or before it moving backwards (so a pause is skipped in one step)
+ */
+function findRecordByTime(minute, direction) {
+  const after = findRecordAfter(recordMinutes, minute);
+  if (direction > 0 || recordMinutes[after] <= minute) return after;
+  return Math.max(after - 1, 0);
+}
+
+function getCanvasX(event) {
+  return event.clientX - chartInstance.canvas.getBoundingClientRect().left;
+}
+
+function isInChartArea(event) {
+  const rect = chartInstance.canvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const { left, right, top, bottom } = chartInstance.chartArea;
+  return x >= left && x <= right && y >= top && y <= bottom;
+}
+
+function formatTick(value) {
+  if (xAxisMode === 'distance') {
+    return getVisibleSpan() < 1 ? formatDistanceValue(value, 2) : formatNumber(value, { maximumFractionDigits: 1 });
+  }
+  // Seconds only matter when zoomed in
+  return formatElapsed(value, getVisibleSpan() < 10);
+}
+
+function formatDistanceValue(value, digits) {
+  return formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Elapsed minutes as h:mm / m or, with seconds, h:mm:ss / m:ss
+ */
+function formatElapsed(minutes, withSeconds) {
+  const totalSec = Math.round(minutes * 60);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+
+  if (!withSeconds) {
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}` : `${m}`;
+  }
+  return h > 0
+    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// ===== Public API =====
 /**
  * Set cut markers programmatically (e.g., from presets)
  */
-export function setCutMarkers(recordIndices, records) {
+export function setCutMarkers(recordIndices) {
   if (!chartInstance) return;
 
-  const maxPoints = 2000;
-  const step = records.length > maxPoints ? Math.ceil(records.length / maxPoints) : 1;
+  cutMarkers = [...recordIndices].sort((a, b) => a - b);
+  selectedMarker = null;
+  chartInstance.draw();
 
-  // Convert record indices to chart indices
-  cutMarkers = recordIndices.map((ri) => Math.round(ri / step));
-  chartInstance.update('none');
+  notifyMarkersChange();
+}
 
-  if (onCutMarkersChange) {
-    onCutMarkersChange(recordIndices);
-  }
+/**
+ * Add a cut marker at a record (e.g., picked on the map)
+ */
+export function addCutMarker(recordIndex) {
+  if (!chartInstance) return;
+  addMarker(recordIndex);
+  showRecord(recordIndex);
 }
 
 /**
@@ -290,31 +671,112 @@ export function setCutMarkers(recordIndices, records) {
  */
 export function clearCutMarkers() {
   cutMarkers = [];
+  selectedMarker = null;
   if (chartInstance) {
-    chartInstance.update('none');
-  }
-  if (onCutMarkersChange) {
-    onCutMarkersChange([]);
+    chartInstance.draw();
   }
+  notifyMarkersChange();
 }
 
 /**
  * Get current cut marker record indices
  */
-export function getCutMarkerIndices(records) {
-  if (!chartInstance) return [];
-  const maxPoints = 2000;
-  const step = records.length > maxPoints ? Math.ceil(records.length / maxPoints) : 1;
-  return cutMarkers.map((ci) => ci * step);
+export function getCutMarkerIndices() {
+  return [...cutMarkers];
+}
+
+/**
+ * Show or hide one of CHART_CHANNELS
+ */
+export function setChartChannelVisible(key, visible) {
+  if (visible) visibleChannels.add(key);
+  else visibleChannels.delete(key);
+
+  if (!chartInstance) return;
+  chartInstance.setDatasetVisibility(CHART_CHANNELS.findIndex((c) => c.key === key), visible);
+  chartInstance.update('none');
+}
+
+export function isChartChannelVisible(key) {
+  return visibleChannels.has(key);
+}
+
+/**
+ * Plot against elapsed time ('time') or distance ('distance'), keeping the same records in view
+ */
+export function setChartXAxis(mode) {
+  xAxisMode = mode;
+  if (!chartInstance) return;
+  rebuildXAxis();
+}
+
+/**
+ * Word and scale the axes, datasets and cuts again after the UI language or units change
+ */
+export function refreshChartDisplay() {
+  if (!chartInstance) return;
+
+  const { options, data } = chartInstance;
+  options.locale = getLocaleTag();
+  CHART_CHANNELS.forEach((channel, i) => {
+    options.scales[channel.key].title.text = getChannelLabel(channel);
+    data.datasets[i].label = getChannelLabel(channel);
+  });
+  rebuildXAxis();
+}
+
+/**
+ * Position the records on the x axis again, keeping the same records in view
+ */
+function rebuildXAxis() {
+  const visible = view && {
+    first: findRecordAfter(recordX, view.min),
+    last: findRecordAfter(recordX, view.max),
+  };
+  recordX = computeAxisValues(xAxisMode);
+  chartInstance.options.scales.x.title.text = getXAxisTitle();
+
+  view = null;
+  if (visible) {
+    setView(recordX[visible.first], recordX[visible.last] - recordX[visible.first]);
+  } else {
+    updateChartData();
+  }
+}
+
+/**
+ * Show the whole activity again
+ */
+export function resetChartZoom() {
+  if (!chartInstance) return;
+  view = null;
+  updateChartData();
 }
 
 /**
- * Destroy the chart instance
+ * Destroy the chart instance and release its listeners
  */
 export function destroyChart() {
   if (chartInstance) {
+    const canvas = chartInstance.canvas;
+    canvas.removeEventListener('pointerdown', handlePointerDown);
+    canvas.removeEventListener('pointermove', handlePointerMove);
+    canvas.removeEventListener('pointerup', handlePointerUp);
+    canvas.removeEventListener('pointercancel', handlePointerUp);
+    canvas.removeEventListener('wheel', handleWheel);
+    canvas.removeEventListener('dblclick', resetChartZoom);
+    canvas.removeEventListener('keydown', handleKeyDown);
     chartInstance.destroy();
     chartInstance = null;
   }
+  chartRecords = [];
+  recordMinutes = [];
+  recordX = [];
+  indexMap = [];
   cutMarkers = [];
+  selectedMarker = null;
+  view = null;
+  pointerState = null;
+  onCutMarkersChange = null;
+  onHoverRecordChange = null;
 }
@@ -0,0 +1,69 @@
+/**
+ * Undo/redo history of the segment edits. Each entry is a snapshot of the segments;
+ * recording a state equal to the present one is ignored, so restoring a snapshot and
+ * re-rendering it doesn't add a new entry.
+ */
+
+const MAX_ENTRIES = 100;
+
+let past = [];
+let present = null;
+let future = [];
+
+/**
+ * Start a new history from the given segments (e.g., a newly loaded file)
+ */
+export function resetHistory(segments) {
+  past = [];
+  present = snapshot(segments);
+  future = [];
+}
+
+/**
+ * Record the segments after an edit. Clears the redo entries.
+ */
+export function recordHistory(segments) {
+  const state = snapshot(segments);
+  if (present && JSON.stringify(state) === JSON.stringify(present)) return;
+
+  if (present) past.push(present);
+  if (past.length > MAX_ENTRIES) past.shift();
+  present = state;
+  future = [];
+}
+
+/**
+ * Step back one edit
+ *
+ * @returns {Array|null} Segments to restore, or null if there is nothing to undo
+ */
+export function undo() {
+  if (past.length === 0) return null;
+  future.push(present);
+  present = past.pop();
+  return snapshot(present);
+}
+
+/**
+ * Step forward one undone edit
+ *
+ * @returns {Array|null} Segments to restore, or null if there is nothing to redo
+ */
+export function redo() {
+  if (future.length === 0) return null;
+  past.push(present);
+  present = future.pop();
+  return snapshot(present);
+}
+
+export function canUndo() {
+  return past.length > 0;
+}
+
+export function canRedo() {
+  return future.length > 0;
+}
+
+function snapshot(segments) {
+  return segments.map((segment) => ({ ...segment }));
+}
@@ -0,0 +1,27 @@
+/**
+ * Errors of the library that the UI can show in its own language: besides the Spanish
+ * message the CLI prints, they carry a code and the values to fill its text with
+ * (see describeError() in main.js and the errors.* texts of the locales).
+ */
+
+/**
+ * Error with a code and its parameters
+ *
+ * @param {string} code
+ * @param {Object} params - Values of the message's placeholders
+ * @param {string} message - Spanish message
+ * @returns {Error}
+ */
+export function createError(code, params, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.params = params;
+  return err;
+}
+
+/**
+ * Plain copy of an error that survives postMessage() and can be nested in another's params
+ */
+export function serializeError(err) {
+  return { code: err?.code, params: err?.params, message: err?.message ?? String(err) };
+}
@@ -1,32 +1,379 @@
 import { Encoder, Profile, Utils } from '@garmin/fitsdk';
+import { TRANSITION_SUB_SPORTS } from './fit-parser.js';
+import { createError } from './errors.js';
+
+/**
+ * Message types that are rebuilt per segment instead of being copied from the original file.
+ */
+const SUMMARY_MESG_NUMS = new Set([
+  Profile.MesgNum.SPORT,
+  Profile.MesgNum.LAP,
+  Profile.MesgNum.SESSION,
+  Profile.MesgNum.ACTIVITY,
+]);
+
+/**
+ * Timer event types that stop the timer (manual stop or auto-pause).
+ */
+const TIMER_STOP_TYPES = new Set(['stop', 'stopAll', 'stopDisable', 'stopDisableAll']);
+
+// Altitude change needed before it counts as ascent/descent, to ignore barometer noise
+const ALTITUDE_THRESHOLD_M = 2;
+
+// Longest gap between records that still counts towards a segment's energy weight
+const MAX_RECORD_GAP_S = 10;
+
+// Rolling window for normalized power
+const NP_WINDOW_MS = 30000;
+
+// Messages written between progress reports
+const PROGRESS_INTERVAL_MESGS = 5000;
+
+// Messages of each decoded file grouped by type, built in one pass the first time they're needed
+const messageGroups = new WeakMap();
 
 /**
  * Re-encodes a FIT file with multiple sessions based on user-defined segments.
  *
+ * In 'full' mode (default) every original message is written back in its original
+ * order and only the summary messages (sport/lap/session/activity) are replaced.
+ * Only what the SDK's profile defines can be written: messages unknown to it and the
+ * unknown fields of known messages (the numeric keys decodeFitFile() keeps) are left
+ * out, and validateFitFile() reports the dropped messages but not the dropped fields.
+ * In 'minimal' mode only file_id, device_info, developer data definitions, records and the
+ * new summaries are written.
+ *
+ * Segments marked with `discard` are left out: their records and the other messages
+ * recorded during them are dropped, later distances are rebased to stay continuous and
+ * the discarded time counts as a timer pause.
+ *
  * @param {Object} parsedData - Data from decodeFitFile()
- * @param {Array} segments - Array of { startRecordIndex, endRecordIndex, sport }
- * @param {ArrayBuffer} originalArrayBuffer - Original FIT file bytes for raw re-decode
+ * @param {Array} segments - Array of { startRecordIndex, endRecordIndex, sport, subSport, discard? }
+ * @param {Object} [options]
+ * @param {'full'|'minimal'} [options.mode='full'] - Which original messages to keep
+ * @param {Function} [options.onProgress] - Called with the fraction of the messages written (0-1)
  * @returns {Uint8Array} Encoded FIT file bytes
  */
-export function encodeFitFile(parsedData, segments) {
-  const { rawOrderedMessages, records } = parsedData;
+export function encodeFitFile(parsedData, segments, { mode = 'full', onProgress } = {}) {
+  return writeFitFile(parsedData, segments, { mode, onProgress });
+}
+
+/**
+ * encodeFitFile() with an optional new time_created for the file_id
+ */
+function writeFitFile(originalData, originalSegments, { mode, onProgress, timeCreated }) {
+  const { parsedData, segments } = trimDiscardedSegments(originalData, originalSegments);
+
+  // Register developer field descriptions so developer values can be written back
+  const encoder = new Encoder({ fieldDescriptions: parsedData.fieldDescriptions });
+  const progress = createProgress(onProgress);
+  const fileIdOverrides = timeCreated != null ? { type: 'activity', timeCreated } : { type: 'activity' };
+
+  if (mode === 'minimal') {
+    writeMinimalMessages(encoder, parsedData, segments, fileIdOverrides, progress);
+  } else {
+    writeAllMessages(encoder, parsedData, segments, fileIdOverrides, progress);
+  }
+
+  // Write ACTIVITY message
+  encoder.onMesg(Profile.MesgNum.ACTIVITY, buildActivityMesg(parsedData, segments));
+
+  // Close encoder and return bytes
+  return encoder.close();
+}
+
+/**
+ * Encodes each kept segment as a standalone FIT activity: the other segments are
+ * discarded and the file_id gets the segment's start time, so every file is a
+ * distinct activity with its own device info and lap/session/activity summaries.
+ *
+ * @param {Object} parsedData - Data from decodeFitFile()
+ * @param {Array} segments - Same segments as for encodeFitFile()
+ * @param {Object} [options] - Same options as for encodeFitFile(); onProgress covers all the files
+ * @returns {Array} Array of { segment, segmentIndex, data: Uint8Array }
+ */
+export function encodeSegmentFiles(parsedData, segments, { mode = 'full', onProgress } = {}) {
+  const files = [];
+  const keptCount = segments.filter((s) => !s.discard).length;
+
+  segments.forEach((segment, segmentIndex) => {
+    if (segment.discard) return;
+
+    const done = files.length;
+    const onlyThisSegment = segments.map((s, i) => ({ ...s, discard: i !== segmentIndex }));
+
+    files.push({
+      segment,
+      segmentIndex,
+      data: writeFitFile(parsedData, onlyThisSegment, {
+        mode,
+        timeCreated: getTimestamp(parsedData.records[segment.startRecordIndex].timestamp),
+        onProgress: onProgress && ((fraction) => onProgress((done + fraction) / keptCount)),
+      }),
+    });
+  });
+
+  return files;
+}
+
+/**
+ * The sessions and laps encodeFitFile() would write, grouped per kept segment, along
+ * with the trimmed records their indices refer to. Used by the GPX/TCX exporters.
+ *
+ * @param {Object} parsedData - Data from decodeFitFile()
+ * @param {Array} segments - Same segments as for encodeFitFile()
+ * @returns {{ records: Array, segments: Array }} segments holds per kept segment
+ *   { startRecordIndex, endRecordIndex, sport, subSport, name, session, laps }, where
+ *   laps is an array of { startRecordIndex, endRecordIndex, mesg }
+ */
+export function summarizeSegments(parsedData, segments) {
+  const trimmed = trimDiscardedSegments(parsedData, segments);
+  const result = [];
+  let current = null;
+
+  for (const summary of buildSummaryMessages(trimmed.parsedData, trimmed.segments)) {
+    if (summary.mesgNum === Profile.MesgNum.SPORT) {
+      current = { ...summary.mesg, laps: [], startRecordIndex: summary.endRecordIndex + 1 };
+    } else if (summary.mesgNum === Profile.MesgNum.LAP) {
+      current.laps.push({
+        startRecordIndex: summary.startRecordIndex,
+        endRecordIndex: summary.endRecordIndex,
+        mesg: summary.mesg,
+      });
+    } else if (summary.mesgNum === Profile.MesgNum.SESSION) {
+      result.push({ ...current, endRecordIndex: summary.endRecordIndex, session: summary.mesg });
+    }
+  }
+
+  return { records: trimmed.parsedData.records, segments: result };
+}
+
+/**
+ * Remove the discarded segments from the data before encoding.
+ * Returns the data unchanged if nothing is discarded; otherwise a copy without the
+ * discarded records and the non-summary messages timestamped between the kept records
+ * around them, with distances rebased, a timer stop/start pair around each removed
+ * stretch and the kept segments re-indexed. Each kept segment carries the share of the
+ * original totals (calories, ascent...) it had before trimming.
+ *
+ * @returns {{ parsedData: Object, segments: Array }}
+ */
+function trimDiscardedSegments(parsedData, segments) {
+  if (!segments.some((s) => s.discard)) return { parsedData, segments };
+  if (segments.every((s) => s.discard)) {
+    throw createError('allDiscarded', {}, 'Todos los segmentos están descartados: no queda nada que exportar.');
+  }
+
+  const { records, rawOrderedMessages } = parsedData;
+  const pauses = getTimerPauses(parsedData);
+  const isPausedAt = (ms) => pauses.some((p) => p.startMs <= ms && ms < p.endMs);
+  const allTotals = distributeSessionTotals(parsedData.sessions, segments.map((segment) => computeSegmentStats(
+    records.slice(segment.startRecordIndex, segment.endRecordIndex + 1),
+    pauses
+  )));
+
+  // Old record index -> new index (-1 if discarded) and distance to subtract from it
+  const newIndex = new Array(records.length).fill(-1);
+  const distanceShift = new Array(records.length).fill(0);
+  // Removed stretches, exclusive of the kept records around them
+  const gaps = [];
+  const keptSegments = [];
+
+  let keptCount = 0;
+  let lastKeptIdx = -1;
+  let removedDistance = 0;
+  let lastKeptDistance = records.find((r) => r.distance != null)?.distance ?? 0;
+  let inGap = false;
+  let distanceGap = false;
+
+  segments.forEach((segment, segIdx) => {
+    if (segment.discard) {
+      inGap = true;
+      distanceGap = true;
+      return;
+    }
+
+    if (inGap) {
+      gaps.push({
+        fromMs: lastKeptIdx >= 0 ? records[lastKeptIdx].timestamp.getTime() : -Infinity,
+        toMs: records[segment.startRecordIndex].timestamp.getTime(),
+        stopAfterIdx: lastKeptIdx,
+        startBeforeIdx: segment.startRecordIndex,
+      });
+      inGap = false;
+    }
+
+    const startRecordIndex = keptCount;
+    for (let i = segment.startRecordIndex; i <= segment.endRecordIndex; i++) {
+      const distance = records[i].distance;
+      if (distance != null) {
+        if (distanceGap) {
+          removedDistance += distance - lastKeptDistance;
+          distanceGap = false;
+        }
+        lastKeptDistance = distance;
+      }
+      newIndex[i] = keptCount++;
+      distanceShift[i] = removedDistance;
+      lastKeptIdx = i;
+    }
+
+    keptSegments.push({
+      ...segment,
+      startRecordIndex,
+      endRecordIndex: keptCount - 1,
+      totals: allTotals[segIdx],
+    });
+  });
+
+  if (inGap) {
+    gaps.push({
+      fromMs: records[lastKeptIdx].timestamp.getTime(),
+      toMs: Infinity,
+      stopAfterIdx: lastKeptIdx,
+      startBeforeIdx: -1,
+    });
+  }
+
+  const inAnyGap = (ms) => gaps.some((g) => g.fromMs < ms && ms < g.toMs);
+  const timerEvent = (ms, eventType) => ({
+    timestamp: getTimestamp(new Date(ms)),
+    event: 'timer',
+    eventType,
+    timerTrigger: 'manual',
+  });
+  const stopsAfter = new Map();
+  const startsBefore = new Map();
+  const extraTimerEvents = [];
+  for (const gap of gaps) {
+    if (gap.stopAfterIdx >= 0 && !isPausedAt(gap.fromMs)) {
+      stopsAfter.set(gap.stopAfterIdx, timerEvent(gap.fromMs, 'stopAll'));
+      extraTimerEvents.push({ timestamp: new Date(gap.fromMs), eventType: 'stopAll', timerTrigger: 'manual' });
+    }
+    if (gap.startBeforeIdx >= 0 && !isPausedAt(gap.toMs)) {
+      startsBefore.set(gap.startBeforeIdx, timerEvent(gap.toMs, 'start'));
+      extraTimerEvents.push({ timestamp: new Date(gap.toMs), eventType: 'start', timerTrigger: 'manual' });
+    }
+  }
+
+  const trimmedMessages = [];
+  let recordIdx = 0;
+  for (const msg of rawOrderedMessages) {
+    if (msg.mesgNum === Profile.MesgNum.RECORD) {
+      const idx = recordIdx++;
+      if (newIndex[idx] === -1) continue;
+
+      if (startsBefore.has(idx)) {
+        trimmedMessages.push({ mesgNum: Profile.MesgNum.EVENT, data: startsBefore.get(idx) });
+      }
+      trimmedMessages.push(msg.data.distance != null && distanceShift[idx] !== 0
+        ? { ...msg, data: { ...msg.data, distance: msg.data.distance - distanceShift[idx] } }
+        : msg);
+      if (stopsAfter.has(idx)) {
+        trimmedMessages.push({ mesgNum: Profile.MesgNum.EVENT, data: stopsAfter.get(idx) });
+      }
+      continue;
+    }
+
+    // Summaries are rebuilt anyway, and the laps must stay aligned with parsedData.laps.
+    // Device info describes the devices, not the removed stretch, so it is always kept.
+    const ts = msg.data.timestamp;
+    if (!SUMMARY_MESG_NUMS.has(msg.mesgNum) && msg.mesgNum !== Profile.MesgNum.DEVICE_INFO
+      && typeof ts === 'number'
+      && inAnyGap(ts * 1000 + Utils.FIT_EPOCH_MS)) {
+      continue;
+    }
+    trimmedMessages.push(msg);
+  }
+
+  return {
+    parsedData: {
+      ...parsedData,
+      records: records.flatMap((r, i) => {
+        if (newIndex[i] === -1) return [];
+        return r.distance != null && distanceShift[i] !== 0
+          ? [{ ...r, distance: r.distance - distanceShift[i] }]
+          : [r];
+      }),
+      laps: parsedData.laps.map((lap) => ({
+        ...lap,
+        trimmed: gaps.some((g) => lap.startTime.getTime() < g.toMs && lap.timestamp.getTime() > g.fromMs),
+      })),
+      timerEvents: [
+        ...(parsedData.timerEvents ?? []).filter((e) => !inAnyGap(e.timestamp.getTime())),
+        ...extraTimerEvents,
+      ].sort((a, b) => a.timestamp - b.timestamp),
+      rawOrderedMessages: trimmedMessages,
+    },
+    segments: keptSegments,
+  };
+}
+
+/**
+ * Copy every original message in order, skipping the original summaries and
+ * inserting each new SPORT before its segment's records and each LAP/SESSION
+ * right after the last record it covers.
+ */
+function writeAllMessages(encoder, parsedData, segments, fileIdOverrides, progress) {
+  const { rawOrderedMessages } = parsedData;
+  const summaries = buildSummaryMessages(parsedData, segments);
+
+  let recordIdx = 0;
+  let summaryIdx = 0;
+
+  for (const [mesgIdx, msg] of rawOrderedMessages.entries()) {
+    progress(mesgIdx, rawOrderedMessages.length);
+    if (SUMMARY_MESG_NUMS.has(msg.mesgNum)) continue;
+    // Messages unknown to the profile can't be re-encoded
+    if (!Profile.messages[msg.mesgNum]) continue;
+
+    if (msg.mesgNum === Profile.MesgNum.FILE_ID) {
+      encoder.onMesg(msg.mesgNum, { ...msg.data, ...fileIdOverrides });
+      continue;
+    }
+
+    if (msg.mesgNum === Profile.MesgNum.RECORD) {
+      while (summaryIdx < summaries.length && summaries[summaryIdx].endRecordIndex < recordIdx) {
+        encoder.onMesg(summaries[summaryIdx].mesgNum, summaries[summaryIdx].mesg);
+        summaryIdx++;
+      }
+      recordIdx++;
+    }
+
+    encoder.onMesg(msg.mesgNum, msg.data);
+  }
+
+  for (; summaryIdx < summaries.length; summaryIdx++) {
+    encoder.onMesg(summaries[summaryIdx].mesgNum, summaries[summaryIdx].mesg);
+  }
+}
 
-  const encoder = new Encoder();
+/**
+ * Write only FILE_ID, DEVICE_INFO, developer data definitions and, per segment, its SPORT message,
+ * a timer start/stop pair around its records and its new LAP and SESSION messages.
+ */
+function writeMinimalMessages(encoder, parsedData, segments, fileIdOverrides, progress) {
+  const { rawOrderedMessages, records } = parsedData;
+  const summaries = buildSummaryMessages(parsedData, segments);
+  const rawRecords = findAllMessages(rawOrderedMessages, Profile.MesgNum.RECORD);
+  const timerEvents = findAllMessages(rawOrderedMessages, Profile.MesgNum.EVENT)
+    .filter((e) => e.data.event === 'timer');
+  let summaryIdx = 0;
 
   // 1. Write FILE_ID message
   const fileIdMsg = findMessage(rawOrderedMessages, Profile.MesgNum.FILE_ID);
   if (fileIdMsg) {
     encoder.onMesg(Profile.MesgNum.FILE_ID, {
       ...fileIdMsg.data,
-      type: 'activity',
+      ...fileIdOverrides,
     });
   } else {
     encoder.onMesg(Profile.MesgNum.FILE_ID, {
-      type: 'activity',
       manufacturer: 'garmin',
       product: 0,
       timeCreated: getTimestamp(records[0]?.timestamp),
       serialNumber: 12345,
+      ...fileIdOverrides,
     });
   }
 
@@ -36,29 +383,36 @@ export function encodeFitFile(parsedData, segments) {
     encoder.onMesg(Profile.MesgNum.DEVICE_INFO, dim.data);
   }
 
-  // 3. Write SPORT messages for each segment
-  // (some files have sport messages, some don't)
-
-  // 4. Process each segment
-  let totalLapIndex = 0;
+  // Write developer data definitions before any message that uses them
+  const developerMsgs = rawOrderedMessages.filter(
+    (m) => m.mesgNum === Profile.MesgNum.DEVELOPER_DATA_ID
+      || m.mesgNum === Profile.MesgNum.FIELD_DESCRIPTION
+  );
+  for (const dm of developerMsgs) {
+    encoder.onMesg(dm.mesgNum, dm.data);
+  }
 
+  // 3. Process each segment
   for (let segIdx = 0; segIdx < segments.length; segIdx++) {
     const segment = segments[segIdx];
     const segRecords = records.slice(segment.startRecordIndex, segment.endRecordIndex + 1);
 
     if (segRecords.length === 0) continue;
 
-    const segStart = segRecords[0].timestamp;
-    const segEnd = segRecords[segRecords.length - 1].timestamp;
-    const segStartTs = getTimestamp(segStart);
-    const segEndTs = getTimestamp(segEnd);
+    // SPORT message for this segment
+    while (summaryIdx < summaries.length && summaries[summaryIdx].endRecordIndex < segment.startRecordIndex) {
+      encoder.onMesg(summaries[summaryIdx].mesgNum, summaries[summaryIdx].mesg);
+      summaryIdx++;
+    }
+
+    // Raw record messages are in the same order as the records
+    const rawRecordsInSegment = rawRecords.slice(segment.startRecordIndex, segment.endRecordIndex + 1);
 
-    // Find raw record messages for this segment's time range
-    const rawRecordsInSegment = getRawRecordsInRange(
-      rawOrderedMessages,
-      segment.startRecordIndex,
-      segment.endRecordIndex
-    );
+    const segStartTs = getTimestamp(segRecords[0].timestamp);
+    const segEndTs = getTimestamp(segRecords[segRecords.length - 1].timestamp);
+
+    // Original pauses inside the segment; the segment's own start/stop are written below
+    const pauseEvents = timerEvents.filter((e) => e.data.timestamp > segStartTs && e.data.timestamp < segEndTs);
 
     // Timer start event
     encoder.onMesg(Profile.MesgNum.EVENT, {
@@ -67,9 +421,15 @@ export function encodeFitFile(parsedData, segments) {
       eventType: 'start',
     });
 
-    // Write all record messages for this segment
-    for (const rawRec of rawRecordsInSegment) {
+    // Write all record messages for this segment, with the pause events in time order
+    let eventIdx = 0;
+    for (const [i, rawRec] of rawRecordsInSegment.entries()) {
+      while (eventIdx < pauseEvents.length && pauseEvents[eventIdx].data.timestamp <= rawRec.data.timestamp) {
+        encoder.onMesg(Profile.MesgNum.EVENT, pauseEvents[eventIdx].data);
+        eventIdx++;
+      }
       encoder.onMesg(Profile.MesgNum.RECORD, rawRec.data);
+      progress(segment.startRecordIndex + i, records.length);
     }
 
     // Timer stop event
@@ -79,137 +439,548 @@ export function encodeFitFile(parsedData, segments) {
       eventType: 'stopAll',
     });
 
-    // Calculate segment stats
-    const stats = computeSegmentStats(segRecords);
+    while (summaryIdx < summaries.length && summaries[summaryIdx].endRecordIndex <= segment.endRecordIndex) {
+      encoder.onMesg(summaries[summaryIdx].mesgNum, summaries[summaryIdx].mesg);
+      summaryIdx++;
+    }
+  }
+}
 
-    // Write LAP message for this segment
-    encoder.onMesg(Profile.MesgNum.LAP, {
-      messageIndex: totalLapIndex,
-      timestamp: segEndTs,
-      startTime: segStartTs,
-      totalElapsedTime: stats.elapsedTime,
-      totalTimerTime: stats.elapsedTime,
-      totalDistance: stats.totalDistance,
-      sport: segment.sport,
-      subSport: 'generic',
-      avgHeartRate: stats.avgHeartRate,
-      maxHeartRate: stats.maxHeartRate,
-      avgSpeed: stats.avgSpeed,
-      maxSpeed: stats.maxSpeed,
-      avgCadence: stats.avgCadence,
-      avgPower: stats.avgPower,
-      enhancedAvgSpeed: stats.avgSpeed,
-      enhancedMaxSpeed: stats.maxSpeed,
+/**
+ * Build the new SPORT, LAP and SESSION messages in write order.
+ * Each entry carries the index of the last record it must follow so callers can
+ * interleave it with the records (a segment's SPORT follows the record before the segment).
+ * LAP entries also carry the index of their first record.
+ *
+ * @returns {Array} Array of { endRecordIndex, mesgNum, mesg, startRecordIndex? }
+ */
+function buildSummaryMessages(parsedData, rawSegments) {
+  const { records } = parsedData;
+  const segments = resolveMultisportSegments(rawSegments);
+  const originalLaps = getLapRecordRanges(parsedData);
+  const pauses = getTimerPauses(parsedData);
+  const segmentStats = segments.map((segment) => computeSegmentStats(
+    records.slice(segment.startRecordIndex, segment.endRecordIndex + 1),
+    pauses
+  ));
+  const segmentTotals = distributeSessionTotals(parsedData.sessions, segmentStats);
+  const summaries = [];
+  let lapIndex = 0;
+
+  segments.forEach((segment, segIdx) => {
+    const segRecords = records.slice(segment.startRecordIndex, segment.endRecordIndex + 1);
+    if (segRecords.length === 0) return;
+
+    summaries.push({
+      endRecordIndex: segment.startRecordIndex - 1,
+      mesgNum: Profile.MesgNum.SPORT,
+      mesg: { sport: segment.sport, subSport: segment.subSport, name: segment.name },
     });
 
-    totalLapIndex++;
+    const firstLapIndex = lapIndex;
+    for (const piece of splitLapsAtSegment(originalLaps, segment)) {
+      summaries.push({
+        startRecordIndex: piece.startRecordIndex,
+        endRecordIndex: piece.endRecordIndex,
+        mesgNum: Profile.MesgNum.LAP,
+        mesg: buildLapMesg(records, piece, segment, lapIndex, pauses),
+      });
+      lapIndex++;
+    }
 
-    // Write SESSION message for this segment
-    encoder.onMesg(Profile.MesgNum.SESSION, {
-      messageIndex: segIdx,
-      timestamp: segEndTs,
-      startTime: segStartTs,
-      totalElapsedTime: stats.elapsedTime,
-      totalTimerTime: stats.elapsedTime,
-      totalDistance: stats.totalDistance,
-      sport: segment.sport,
-      subSport: 'generic',
-      firstLapIndex: segIdx,
-      numLaps: 1,
-      avgHeartRate: stats.avgHeartRate,
-      maxHeartRate: stats.maxHeartRate,
-      avgSpeed: stats.avgSpeed,
-      maxSpeed: stats.maxSpeed,
-      avgCadence: stats.avgCadence,
-      avgPower: stats.avgPower,
-      enhancedAvgSpeed: stats.avgSpeed,
-      enhancedMaxSpeed: stats.maxSpeed,
-      totalCalories: stats.totalCalories,
+    const stats = segmentStats[segIdx];
+    // Segments kept after trimming bring their share of the untrimmed totals
+    const totals = segment.totals ?? segmentTotals[segIdx];
+
+    summaries.push({
+      endRecordIndex: segment.endRecordIndex,
+      mesgNum: Profile.MesgNum.SESSION,
+      mesg: {
+        messageIndex: segIdx,
+        timestamp: getTimestamp(segRecords[segRecords.length - 1].timestamp),
+        startTime: getTimestamp(segRecords[0].timestamp),
+        event: 'session',
+        eventType: 'stop',
+        // In a multisport file every session but the last ends at a sport change
+        trigger: segments.length > 1 && segIdx < segments.length - 1 ? 'autoMultiSport' : 'activityEnd',
+        totalElapsedTime: stats.elapsedTime,
+        totalTimerTime: stats.timerTime,
+        totalDistance: stats.totalDistance,
+        sport: segment.sport,
+        subSport: segment.subSport,
+        firstLapIndex,
+        numLaps: lapIndex - firstLapIndex,
+        avgHeartRate: stats.avgHeartRate,
+        maxHeartRate: stats.maxHeartRate,
+        avgSpeed: stats.avgSpeed,
+        maxSpeed: stats.maxSpeed,
+        avgCadence: stats.avgCadence,
+        avgPower: stats.avgPower,
+        normalizedPower: stats.normalizedPower,
+        enhancedAvgSpeed: stats.avgSpeed,
+        enhancedMaxSpeed: stats.maxSpeed,
+        minAltitude: stats.minAltitude,
+        maxAltitude: stats.maxAltitude,
+        enhancedMinAltitude: stats.minAltitude,
+        enhancedMaxAltitude: stats.maxAltitude,
+        totalAscent: totals.totalAscent,
+        totalDescent: totals.totalDescent,
+        totalCalories: totals.totalCalories,
+        totalTrainingEffect: totals.totalTrainingEffect,
+        totalAnaerobicTrainingEffect: totals.totalAnaerobicTrainingEffect,
+        developerFields: computeSessionDeveloperFields(parsedData, segRecords),
+      },
     });
+  });
+
+  return summaries;
+}
+
+/**
+ * Lay the segments out as multisport legs: fill in the sub-sport and name for each
+ * SPORT/SESSION. Transitions are named T1, T2... in order and, if left generic,
+ * get the transition sub-sport implied by the legs around them.
+ */
+function resolveMultisportSegments(segments) {
+  let transitionCount = 0;
+
+  return segments.map((segment, i) => {
+    const subSport = segment.subSport ?? 'generic';
+    if (segment.sport !== 'transition') {
+      return { ...segment, subSport, name: undefined };
+    }
+
+    transitionCount++;
+    const prevSport = segments[i - 1]?.sport;
+    const nextSport = segments[i + 1]?.sport;
+    return {
+      ...segment,
+      subSport: subSport === 'generic'
+        ? TRANSITION_SUB_SPORTS[`${prevSport}>${nextSport}`] ?? 'generic'
+        : subSport,
+      name: `T${transitionCount}`,
+    };
+  });
+}
+
+/**
+ * Split the original activity totals across segments so the per-session values add up
+ * to the original ones. Calories and training effect are apportioned by HR-weighted time
+ * (see getEnergyWeights()); ascent/descent by the climb measured in each segment.
+ * Without an original total, the values measured from the records are used as-is.
+ *
+ * @returns {Array} Per segment { totalCalories, totalAscent, totalDescent,
+ *   totalTrainingEffect, totalAnaerobicTrainingEffect }
+ */
+function distributeSessionTotals(sessions, segmentStats) {
+  const sumOf = (field) => {
+    const values = sessions.map((s) => s[field]).filter((v) => v != null);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) : null;
+  };
+
+  const energyWeights = getEnergyWeights(segmentStats);
+  const ascents = segmentStats.map((s) => s.totalAscent);
+  const descents = segmentStats.map((s) => s.totalDescent);
+
+  const totalCalories = sumOf('totalCalories');
+  const totalAscent = sumOf('totalAscent');
+  const totalDescent = sumOf('totalDescent');
+  const totalTrainingEffect = sumOf('totalTrainingEffect');
+  const totalAnaerobicTrainingEffect = sumOf('totalAnaerobicTrainingEffect');
+
+  const calories = totalCalories != null ? apportion(totalCalories, energyWeights) : null;
+  const ascent = totalAscent != null ? apportion(totalAscent, ascents) : ascents;
+  const descent = totalDescent != null ? apportion(totalDescent, descents) : descents;
+  // Training effect has 0.1 resolution, so apportion it in tenths
+  const te = totalTrainingEffect != null
+    ? apportion(Math.round(totalTrainingEffect * 10), energyWeights)
+    : null;
+  const anaerobicTe = totalAnaerobicTrainingEffect != null
+    ? apportion(Math.round(totalAnaerobicTrainingEffect * 10), energyWeights)
+    : null;
+
+  return segmentStats.map((stats, i) => ({
+    totalCalories: calories ? calories[i] : 0,
+    totalAscent: ascent[i] != null ? Math.round(ascent[i]) : null,
+    totalDescent: descent[i] != null ? Math.round(descent[i]) : null,
+    totalTrainingEffect: te ? te[i] / 10 : null,
+    totalAnaerobicTrainingEffect: anaerobicTe ? anaerobicTe[i] / 10 : null,
+  }));
+}
+
+/**
+ * Share of effort of each segment: its HR-weighted time, or for a segment without HR
+ * (a gap bridged in a merge, a swim without a strap) its time at the average HR of
+ * the others. Plain time if no segment has HR.
+ */
+function getEnergyWeights(segmentStats) {
+  const withHr = segmentStats.filter((s) => s.hrWeight > 0);
+  if (withHr.length === 0) return segmentStats.map((s) => s.timeWeight);
+
+  const hrTime = withHr.reduce((sum, s) => sum + s.timeWeight, 0);
+  const avgHr = hrTime > 0 ? withHr.reduce((sum, s) => sum + s.hrWeight, 0) / hrTime : 0;
+  return segmentStats.map((s) => (s.hrWeight > 0 ? s.hrWeight : s.timeWeight * avgHr));
+}
+
+/**
+ * Split an integer total proportionally to the weights, rounding with the
+ * largest-remainder method so the parts add up exactly to the total.
+ * Returns null parts where no weight is known.
+ */
+function apportion(total, weights) {
+  const known = weights.map((w) => (w != null && w > 0 ? w : 0));
+  const weightSum = known.reduce((sum, w) => sum + w, 0);
+  if (weightSum === 0) return weights.map(() => null);
+
+  const exact = known.map((w) => (total * w) / weightSum);
+  const parts = exact.map(Math.floor);
+  let remainder = Math.round(total - parts.reduce((sum, p) => sum + p, 0));
+
+  const byRemainder = exact
+    .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (const { i } of byRemainder) {
+    if (remainder <= 0) break;
+    parts[i]++;
+    remainder--;
+  }
+
+  return parts;
+}
+
+/**
+ * Map each original lap to the range of records it covers.
+ * A lap runs from its start time up to the record before the next lap starts.
+ *
+ * @returns {Array} Array of { startRecordIndex, endRecordIndex, rawLap, trimmed }
+ */
+function getLapRecordRanges(parsedData) {
+  const { records, laps, rawOrderedMessages } = parsedData;
+  const rawLaps = findAllMessages(rawOrderedMessages, Profile.MesgNum.LAP);
+  const starts = laps.map((lap) => findFirstRecordAtOrAfter(records, lap.startTime));
+
+  const ranges = [];
+  laps.forEach((lap, i) => {
+    const nextStart = i < laps.length - 1 ? starts[i + 1] : records.length;
+    const endRecordIndex = Math.min(nextStart, findFirstRecordAfter(records, lap.timestamp)) - 1;
+    if (endRecordIndex < starts[i]) return;
+
+    ranges.push({
+      startRecordIndex: starts[i],
+      endRecordIndex,
+      rawLap: rawLaps[i],
+      trimmed: Boolean(lap.trimmed),
+    });
+  });
+
+  return ranges;
+}
+
+/**
+ * Clip the original laps to a segment. Laps that straddle a cut are split in two,
+ * and laps that lost records to trimming are recomputed; if the file has no laps the whole segment becomes one lap.
+ *
+ * @returns {Array} Array of { startRecordIndex, endRecordIndex, rawLap, clipped }
+ */
+function splitLapsAtSegment(originalLaps, segment) {
+  const pieces = [];
+
+  for (const lap of originalLaps) {
+    const start = Math.max(lap.startRecordIndex, segment.startRecordIndex);
+    const end = Math.min(lap.endRecordIndex, segment.endRecordIndex);
+    if (start > end) continue;
+
+    pieces.push({
+      startRecordIndex: start,
+      endRecordIndex: end,
+      rawLap: lap.rawLap,
+      clipped: lap.trimmed || start !== lap.startRecordIndex || end !== lap.endRecordIndex,
+      endsAtCut: end !== lap.endRecordIndex,
+    });
+  }
+
+  if (pieces.length === 0) {
+    pieces.push({
+      startRecordIndex: segment.startRecordIndex,
+      endRecordIndex: segment.endRecordIndex,
+      rawLap: null,
+      clipped: true,
+      endsAtCut: true,
+    });
+  }
+
+  return pieces;
+}
+
+/**
+ * Build a LAP message for a lap piece. Untouched laps keep all their original
+ * fields; laps clipped at a cut get their stats recomputed from the records.
+ */
+function buildLapMesg(records, piece, segment, lapIndex, pauses) {
+  if (!piece.clipped && piece.rawLap) {
+    return {
+      ...piece.rawLap.data,
+      messageIndex: lapIndex,
+      sport: segment.sport,
+      subSport: segment.subSport,
+    };
+  }
+
+  const lapRecords = records.slice(piece.startRecordIndex, piece.endRecordIndex + 1);
+  const stats = computeSegmentStats(lapRecords, pauses);
+
+  return {
+    messageIndex: lapIndex,
+    timestamp: getTimestamp(lapRecords[lapRecords.length - 1].timestamp),
+    startTime: getTimestamp(lapRecords[0].timestamp),
+    event: 'lap',
+    eventType: 'stop',
+    lapTrigger: piece.endsAtCut ? 'sessionEnd' : piece.rawLap?.data.lapTrigger,
+    totalElapsedTime: stats.elapsedTime,
+    totalTimerTime: stats.timerTime,
+    totalDistance: stats.totalDistance,
+    sport: segment.sport,
+    subSport: segment.subSport,
+    avgHeartRate: stats.avgHeartRate,
+    maxHeartRate: stats.maxHeartRate,
+    avgSpeed: stats.avgSpeed,
+    maxSpeed: stats.maxSpeed,
+    avgCadence: stats.avgCadence,
+    avgPower: stats.avgPower,
+    normalizedPower: stats.normalizedPower,
+    enhancedAvgSpeed: stats.avgSpeed,
+    enhancedMaxSpeed: stats.maxSpeed,
+    minAltitude: stats.minAltitude,
+    maxAltitude: stats.maxAltitude,
+    enhancedMinAltitude: stats.minAltitude,
+    enhancedMaxAltitude: stats.maxAltitude,
+    totalAscent: stats.totalAscent != null ? Math.round(stats.totalAscent) : null,
+    totalDescent: stats.totalDescent != null ? Math.round(stats.totalDescent) : null,
+  };
+}
+
+/**
+ * Prefixes that mark a session developer field as an aggregate of a record developer field,
+ * e.g. "Avg Power" summarizing "Power".
+ */
+const DEVELOPER_AGGREGATES = [
+  { pattern: /^(avg|average)[\s_]+/i, aggregate: 'avg' },
+  { pattern: /^max(imum)?[\s_]+/i, aggregate: 'max' },
+  { pattern: /^min(imum)?[\s_]+/i, aggregate: 'min' },
+];
+
+const FLOAT_BASE_TYPES = new Set([136, 137]); // float32, float64
+
+/**
+ * Developer fields for a segment's session.
+ * Fields that summarize a record developer field are recomputed over the segment's records;
+ * everything else is copied from the original session the segment falls in.
+ */
+function computeSessionDeveloperFields(parsedData, segRecords) {
+  const { sessions, fieldDescriptions = {} } = parsedData;
+  const segStartMs = segRecords[0].timestamp.getTime();
+
+  const originalSession = sessions.find(
+    (s) => s.startTime?.getTime() <= segStartMs && s.timestamp?.getTime() >= segStartMs
+  ) ?? sessions[0];
+
+  const originalFields = originalSession?.developerFields;
+  if (!originalFields) return undefined;
+
+  const result = {};
+  for (const [key, value] of Object.entries(originalFields)) {
+    const description = fieldDescriptions[key]?.fieldDescriptionMesg;
+    const recomputed = typeof value === 'number' && description
+      ? aggregateRecordDeveloperField(fieldDescriptions, description, segRecords)
+      : null;
+    result[key] = recomputed ?? value;
   }
 
-  // 5. Write ACTIVITY message
+  return result;
+}
+
+/**
+ * Aggregate the record developer field that a session developer field summarizes.
+ * Returns null if there is no such record field or it has no values in the segment.
+ */
+function aggregateRecordDeveloperField(fieldDescriptions, sessionDescription, segRecords) {
+  let baseName = sessionDescription.fieldName ?? '';
+  let aggregate = 'avg';
+  for (const { pattern, aggregate: agg } of DEVELOPER_AGGREGATES) {
+    if (pattern.test(baseName)) {
+      baseName = baseName.replace(pattern, '');
+      aggregate = agg;
+      break;
+    }
+  }
+
+  const recordKey = Object.keys(fieldDescriptions).find((key) => {
+    const desc = fieldDescriptions[key].fieldDescriptionMesg;
+    return desc.nativeMesgNum === Profile.MesgNum.RECORD
+      && desc.developerDataIndex === sessionDescription.developerDataIndex
+      && desc.fieldName === baseName;
+  });
+  if (recordKey == null) return null;
+
+  const values = segRecords
+    .map((r) => r.developerFields?.[recordKey])
+    .filter((v) => typeof v === 'number');
+  if (values.length === 0) return null;
+
+  let result;
+  if (aggregate === 'max') {
+    result = values.reduce((max, v) => Math.max(max, v), -Infinity);
+  } else if (aggregate === 'min') {
+    result = values.reduce((min, v) => Math.min(min, v), Infinity);
+  } else {
+    result = values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  return FLOAT_BASE_TYPES.has(sessionDescription.fitBaseTypeId) ? result : Math.round(result);
+}
+
+/**
+ * Build the ACTIVITY message covering all segments: a multisport activity if there is
+ * more than one session, with the original's local time offset
+ */
+function buildActivityMesg(parsedData, segments) {
+  const { records, rawOrderedMessages } = parsedData;
   const firstRecord = records[0];
   const lastRecord = records[records.length - 1];
-  const totalElapsedTime =
-    (lastRecord.timestamp.getTime() - firstRecord.timestamp.getTime()) / 1000;
+  const totalTimerTime = computeTimerTime(
+    firstRecord.timestamp,
+    lastRecord.timestamp,
+    getTimerPauses(parsedData)
+  );
 
   const activityTimestamp = getTimestamp(lastRecord.timestamp);
 
-  // Calculate local timestamp offset
-  const localOffset = lastRecord.timestamp.getTimezoneOffset() * -60;
+  // Keep the time zone the activity was recorded in; without one, use this machine's
+  const originalActivity = findMessage(rawOrderedMessages, Profile.MesgNum.ACTIVITY)?.data;
+  const localOffset = originalActivity?.localTimestamp != null && originalActivity.timestamp != null
+    ? originalActivity.localTimestamp - originalActivity.timestamp
+    : lastRecord.timestamp.getTimezoneOffset() * -60;
 
-  encoder.onMesg(Profile.MesgNum.ACTIVITY, {
+  return {
     timestamp: activityTimestamp,
     numSessions: segments.length,
-    totalTimerTime: totalElapsedTime,
+    type: segments.length > 1 ? 'autoMultiSport' : 'manual',
+    event: 'activity',
+    eventType: 'stop',
+    totalTimerTime,
     localTimestamp: activityTimestamp + localOffset,
-  });
+  };
+}
 
-  // Close encoder and return bytes
-  return encoder.close();
+/**
+ * Build the intervals during which the original timer was stopped
+ * (manual pauses and auto-pause), from the timer events.
+ *
+ * @returns {Array} Array of { startMs, endMs }
+ */
+function getTimerPauses(parsedData) {
+  const pauses = [];
+  let pausedAtMs = null;
+
+  for (const event of parsedData.timerEvents ?? []) {
+    const ms = event.timestamp.getTime();
+    if (TIMER_STOP_TYPES.has(event.eventType)) {
+      if (pausedAtMs == null) pausedAtMs = ms;
+    } else if (event.eventType === 'start' && pausedAtMs != null) {
+      pauses.push({ startMs: pausedAtMs, endMs: ms });
+      pausedAtMs = null;
+    }
+  }
+
+  if (pausedAtMs != null) {
+    pauses.push({ startMs: pausedAtMs, endMs: Infinity });
+  }
+
+  return pauses;
+}
+
+/**
+ * Seconds the timer was running between two dates
+ */
+function computeTimerTime(startDate, endDate, pauses) {
+  const startMs = startDate.getTime();
+  const endMs = endDate.getTime();
+
+  let pausedMs = 0;
+  for (const pause of pauses) {
+    const overlap = Math.min(endMs, pause.endMs) - Math.max(startMs, pause.startMs);
+    if (overlap > 0) pausedMs += overlap;
+  }
+
+  return Math.max(0, endMs - startMs - pausedMs) / 1000;
 }
 
 /**
  * Find the first message with the given mesgNum
  */
 function findMessage(orderedMessages, mesgNum) {
-  return orderedMessages.find((m) => m.mesgNum === mesgNum);
+  return findAllMessages(orderedMessages, mesgNum)[0];
 }
 
 /**
- * Find all messages with the given mesgNum
+ * Find all messages with the given mesgNum, in their original order
  */
 function findAllMessages(orderedMessages, mesgNum) {
-  return orderedMessages.filter((m) => m.mesgNum === mesgNum);
+  let groups = messageGroups.get(orderedMessages);
+  if (!groups) {
+    groups = new Map();
+    for (const msg of orderedMessages) {
+      if (!groups.has(msg.mesgNum)) groups.set(msg.mesgNum, []);
+      groups.get(msg.mesgNum).push(msg);
+    }
+    messageGroups.set(orderedMessages, groups);
+  }
+  return groups.get(mesgNum) ?? [];
 }
 
 /**
- * Get raw record messages for a given index range.
- * We track record indices separately since orderedMessages may contain
- * other message types interleaved.
+ * Progress reporter called with (done, total), which passes the fraction on
+ * to onProgress every PROGRESS_INTERVAL_MESGS messages
  */
-function getRawRecordsInRange(orderedMessages, startIdx, endIdx) {
-  let recordIdx = 0;
-  const result = [];
+function createProgress(onProgress) {
+  if (!onProgress) return () => {};
+  return (done, total) => {
+    if (done % PROGRESS_INTERVAL_MESGS === 0) onProgress(done / total);
+  };
+}
 
-  for (const msg of orderedMessages) {
-    if (msg.mesgNum === Profile.MesgNum.RECORD) {
-      if (recordIdx >= startIdx && recordIdx <= endIdx) {
-        result.push(msg);
-      }
-      recordIdx++;
-      if (recordIdx > endIdx) break;
-    }
+/**
+ * Index of the first record with timestamp >= date (records.length if none)
+ */
+function findFirstRecordAtOrAfter(records, date) {
+  const ms = date.getTime();
+  let lo = 0;
+  let hi = records.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (records[mid].timestamp.getTime() < ms) lo = mid + 1;
+    else hi = mid;
   }
-
-  return result;
+  return lo;
 }
 
 /**
- * Get event messages within a time range
+ * Index of the first record with timestamp > date (records.length if none)
  */
-function getRawEventsInRange(orderedMessages, startTime, endTime) {
-  const startMs = startTime.getTime();
-  const endMs = endTime.getTime();
-
-  return orderedMessages.filter((m) => {
-    if (m.mesgNum !== Profile.MesgNum.EVENT) return false;
-    const ts = m.data.timestamp;
-    if (!ts) return false;
-    // Handle both Date objects and FIT timestamps
-    const msTime = ts instanceof Date ? ts.getTime() : ts * 1000 + Utils.FIT_EPOCH_MS;
-    return msTime >= startMs && msTime <= endMs;
-  });
+function findFirstRecordAfter(records, date) {
+  return findFirstRecordAtOrAfter(records, new Date(date.getTime() + 1));
 }
 
 /**
- * Compute statistics for a segment of records
+ * Compute statistics for a segment of records.
+ * Timer time excludes the given pauses (see getTimerPauses).
+ * timeWeight/hrWeight are the segment's share of effort used to apportion calories.
  */
-function computeSegmentStats(segRecords) {
+function computeSegmentStats(segRecords, pauses = []) {
   if (segRecords.length === 0) {
     return {
       elapsedTime: 0,
+      timerTime: 0,
       totalDistance: 0,
       avgHeartRate: null,
       maxHeartRate: null,
@@ -217,13 +988,20 @@ function computeSegmentStats(segRecords) {
       maxSpeed: null,
       avgCadence: null,
       avgPower: null,
-      totalCalories: 0,
+      normalizedPower: null,
+      minAltitude: null,
+      maxAltitude: null,
+      totalAscent: null,
+      totalDescent: null,
+      timeWeight: 0,
+      hrWeight: 0,
     };
   }
 
   const first = segRecords[0];
   const last = segRecords[segRecords.length - 1];
   const elapsedTime = (last.timestamp.getTime() - first.timestamp.getTime()) / 1000;
+  const timerTime = computeTimerTime(first.timestamp, last.timestamp, pauses);
 
   const firstDist = first.distance ?? 0;
   const lastDist = last.distance ?? 0;
@@ -233,8 +1011,12 @@ function computeSegmentStats(segRecords) {
   let speedSum = 0, speedCount = 0, maxSpeed = 0;
   let cadenceSum = 0, cadenceCount = 0;
   let powerSum = 0, powerCount = 0;
+  let minAlt = Infinity, maxAlt = -Infinity;
+  let ascent = 0, descent = 0, altAnchor = null;
+  let timeWeight = 0, hrWeight = 0;
 
-  for (const r of segRecords) {
+  for (let i = 0; i < segRecords.length; i++) {
+    const r = segRecords[i];
     if (r.heartRate != null) {
       hrSum += r.heartRate;
       hrCount++;
@@ -253,10 +1035,33 @@ function computeSegmentStats(segRecords) {
       powerSum += r.power;
       powerCount++;
     }
+    if (r.altitude != null) {
+      minAlt = Math.min(minAlt, r.altitude);
+      maxAlt = Math.max(maxAlt, r.altitude);
+      if (altAnchor == null) {
+        altAnchor = r.altitude;
+      } else if (r.altitude - altAnchor >= ALTITUDE_THRESHOLD_M) {
+        ascent += r.altitude - altAnchor;
+        altAnchor = r.altitude;
+      } else if (altAnchor - r.altitude >= ALTITUDE_THRESHOLD_M) {
+        descent += altAnchor - r.altitude;
+        altAnchor = r.altitude;
+      }
+    }
+
+    const next = segRecords[i + 1];
+    if (next) {
+      const dt = Math.min(MAX_RECORD_GAP_S, (next.timestamp.getTime() - r.timestamp.getTime()) / 1000);
+      timeWeight += dt;
+      if (r.heartRate != null) hrWeight += dt * r.heartRate;
+    }
   }
 
+  const hasAltitude = minAlt !== Infinity;
+
   return {
     elapsedTime,
+    timerTime,
     totalDistance: totalDistance > 0 ? totalDistance : 0,
     avgHeartRate: hrCount > 0 ? Math.round(hrSum / hrCount) : null,
     maxHeartRate: maxHr > 0 ? maxHr : null,
@@ -264,10 +1069,52 @@ function computeSegmentStats(segRecords) {
     maxSpeed: maxSpeed > 0 ? maxSpeed : null,
     avgCadence: cadenceCount > 0 ? Math.round(cadenceSum / cadenceCount) : null,
     avgPower: powerCount > 0 ? Math.round(powerSum / powerCount) : null,
-    totalCalories: 0,
+    normalizedPower: computeNormalizedPower(segRecords),
+    minAltitude: hasAltitude ? minAlt : null,
+    maxAltitude: hasAltitude ? maxAlt : null,
+    totalAscent: hasAltitude ? ascent : null,
+    totalDescent: hasAltitude ? descent : null,
+    timeWeight,
+    hrWeight,
   };
 }
 
+/**
+ * Normalized power: 4th root of the mean of the 4th powers of the 30 s rolling average power.
+ * Returns null if there is no power data or less than one full window.
+ */
+function computeNormalizedPower(segRecords) {
+  const window = [];
+  let windowStart = 0;
+  let windowSum = 0;
+  let fourthPowerSum = 0;
+  let count = 0;
+
+  for (const r of segRecords) {
+    if (r.power == null) continue;
+
+    const ms = r.timestamp.getTime();
+    window.push({ ms, power: r.power });
+    windowSum += r.power;
+
+    while (window[windowStart].ms <= ms - NP_WINDOW_MS) {
+      windowSum -= window[windowStart].power;
+      windowStart++;
+    }
+
+    // Only count once the first full window has elapsed
+    if (ms - window[0].ms >= NP_WINDOW_MS) {
+      const rollingAvg = windowSum / (window.length - windowStart);
+      fourthPowerSum += rollingAvg ** 4;
+      count++;
+    }
+  }
+
+  if (count === 0) return null;
+  const np = Math.round((fourthPowerSum / count) ** 0.25);
+  return np > 0 ? np : null;
+}
+
 /**
  * Convert a Date or FIT timestamp value for the encoder.
  * The encoder expects FIT epoch integers when convertDateTimesToDates was false,
@@ -0,0 +1,234 @@
+import { Profile, Utils } from '@garmin/fitsdk';
+import { createError } from './errors.js';
+
+/**
+ * Messages that may only appear once, at the start of a FIT file.
+ * They are taken from the first file only.
+ */
+const FILE_HEADER_MESG_NUMS = new Set([
+  Profile.MesgNum.FILE_ID,
+  Profile.MesgNum.FILE_CREATOR,
+]);
+
+/**
+ * Merges several decoded FIT files (e.g. one per triathlon leg) into a single
+ * parsedData object that encodeFitFile() can write as one multisport activity.
+ *
+ * Files are ordered by start time. Distances are rebased so they keep growing across
+ * files, and developer data indices/keys are renumbered so they don't collide.
+ * With gapsAsTransitions, the time between two files is bridged by two synthetic records
+ * (one second after the previous file, one second before the next) with the timer
+ * running, so the gap can become a transition segment; otherwise it stays a paused gap.
+ *
+ * @param {Array} files - Array of { name, parsedData } with parsedData from decodeFitFile()
+ * @param {Object} [options]
+ * @param {boolean} [options.gapsAsTransitions=true]
+ * @returns {Object} parsedData-like object with an extra `sources` array of
+ *   { name, kind: 'file'|'gap', sport, subSport, startRecordIndex, endRecordIndex }
+ */
+export function mergeParsedFiles(files, { gapsAsTransitions = true } = {}) {
+  const ordered = files
+    .filter((f) => f.parsedData.records.length > 0)
+    .sort((a, b) => a.parsedData.records[0].timestamp - b.parsedData.records[0].timestamp);
+
+  if (ordered.length === 0) {
+    throw createError('noRecords', {}, 'Ninguno de los archivos contiene registros.');
+  }
+
+  for (let i = 1; i < ordered.length; i++) {
+    const prevRecords = ordered[i - 1].parsedData.records;
+    if (ordered[i].parsedData.records[0].timestamp < prevRecords[prevRecords.length - 1].timestamp) {
+      const [first, second] = [ordered[i - 1].name, ordered[i].name];
+      throw createError(
+        'filesOverlap',
+        { first, second },
+        `Los archivos "${first}" y "${second}" se solapan en el tiempo.`
+      );
+    }
+  }
+
+  const merged = {
+    records: [],
+    sessions: [],
+    laps: [],
+    timerEvents: [],
+    rawOrderedMessages: [],
+    fieldDescriptions: {},
+    sources: [],
+  };
+
+  let distanceOffset = 0;
+  let keyOffset = 0;
+  let devIndexOffset = 0;
+
+  ordered.forEach((file, fileIdx) => {
+    const pd = file.parsedData;
+
+    // Renumber developer field keys and developer data indices
+    const keyMap = {};
+    for (const [key, { developerDataIdMesg, fieldDescriptionMesg }] of Object.entries(pd.fieldDescriptions ?? {})) {
+      const newKey = Number(key) + keyOffset;
+      keyMap[key] = newKey;
+      merged.fieldDescriptions[newKey] = {
+        developerDataIdMesg: {
+          ...developerDataIdMesg,
+          developerDataIndex: developerDataIdMesg.developerDataIndex + devIndexOffset,
+        },
+        fieldDescriptionMesg: {
+          ...fieldDescriptionMesg,
+          developerDataIndex: fieldDescriptionMesg.developerDataIndex + devIndexOffset,
+          key: newKey,
+        },
+      };
+    }
+    const remapDeveloperFields = (developerFields) => (developerFields
+      ? Object.fromEntries(Object.entries(developerFields).map(([k, v]) => [keyMap[k] ?? k, v]))
+      : developerFields);
+
+    if (fileIdx > 0 && gapsAsTransitions) {
+      addGapBridge(merged, pd.records[0].timestamp, distanceOffset, ordered[fileIdx - 1].name, file.name);
+    }
+
+    const startRecordIndex = merged.records.length;
+
+    for (const r of pd.records) {
+      merged.records.push({
+        ...r,
+        distance: r.distance != null ? r.distance + distanceOffset : null,
+        developerFields: remapDeveloperFields(r.developerFields),
+      });
+    }
+
+    for (const msg of pd.rawOrderedMessages) {
+      if (fileIdx > 0 && FILE_HEADER_MESG_NUMS.has(msg.mesgNum)) continue;
+
+      const data = { ...msg.data };
+      if (data.developerFields) {
+        data.developerFields = remapDeveloperFields(data.developerFields);
+      }
+      if (msg.mesgNum === Profile.MesgNum.RECORD && data.distance != null) {
+        data.distance += distanceOffset;
+      }
+      if (msg.mesgNum === Profile.MesgNum.DEVELOPER_DATA_ID || msg.mesgNum === Profile.MesgNum.FIELD_DESCRIPTION) {
+        data.developerDataIndex += devIndexOffset;
+      }
+      merged.rawOrderedMessages.push({ ...msg, data });
+    }
+
+    merged.sessions.push(...pd.sessions.map((s) => ({
+      ...s,
+      developerFields: remapDeveloperFields(s.developerFields),
+    })));
+    merged.laps.push(...pd.laps);
+    merged.timerEvents.push(...(pd.timerEvents ?? []));
+
+    merged.sources.push({
+      name: file.name,
+      kind: 'file',
+      sport: pd.summary.sport,
+      subSport: pd.summary.subSport ?? 'generic',
+      startRecordIndex,
+      endRecordIndex: merged.records.length - 1,
+    });
+
+    const lastDistance = merged.records[merged.records.length - 1].distance;
+    if (lastDistance != null) distanceOffset = lastDistance;
+
+    const keys = Object.keys(keyMap).map(Number);
+    keyOffset += keys.length > 0 ? Math.max(...keys) + 1 : 0;
+    const devIndices = pd.rawOrderedMessages
+      .filter((m) => m.mesgNum === Profile.MesgNum.DEVELOPER_DATA_ID)
+      .map((m) => m.data.developerDataIndex);
+    devIndexOffset += devIndices.length > 0 ? Math.max(...devIndices) + 1 : 0;
+  });
+
+  const { records } = merged;
+  const firstRecord = records[0];
+  const lastRecord = records[records.length - 1];
+  const hrValues = records.map((r) => r.heartRate).filter((hr) => hr != null);
+
+  merged.summary = {
+    sport: ordered[0].parsedData.summary.sport,
+    subSport: ordered[0].parsedData.summary.subSport ?? 'generic',
+    totalDurationSec: (lastRecord.timestamp - firstRecord.timestamp) / 1000,
+    totalDistance: lastRecord.distance ?? 0,
+    avgHeartRate: hrValues.length > 0
+      ? Math.round(hrValues.reduce((sum, hr) => sum + hr, 0) / hrValues.length)
+      : null,
+    startTime: firstRecord.timestamp,
+    endTime: lastRecord.timestamp,
+  };
+
+  return merged;
+}
+
+/**
+ * One segment per merged file and per bridged gap, with each file's original sport
+ * and gaps as transitions.
+ */
+export function getSourceSegments(mergedData) {
+  return mergedData.sources.map((source) => ({
+    startRecordIndex: source.startRecordIndex,
+    endRecordIndex: source.endRecordIndex,
+    sport: source.sport,
+    subSport: source.subSport,
+  }));
+}
+
+/**
+ * Add the synthetic records and timer start event that turn the time between
+ * the last merged record and nextStart into a transition.
+ */
+function addGapBridge(merged, nextStart, distance, prevName, nextName) {
+  const prevEnd = merged.records[merged.records.length - 1].timestamp;
+  const gapStart = new Date(prevEnd.getTime() + 1000);
+  const gapEnd = new Date(nextStart.getTime() - 1000);
+  if (gapEnd < gapStart) return;
+
+  const startRecordIndex = merged.records.length;
+
+  // Restart the timer so the transition counts towards the timer time
+  merged.timerEvents.push({ timestamp: gapStart, eventType: 'start', timerTrigger: 'manual' });
+  merged.rawOrderedMessages.push({
+    mesgNum: Profile.MesgNum.EVENT,
+    data: {
+      timestamp: toFitTimestamp(gapStart),
+      event: 'timer',
+      eventType: 'start',
+      timerTrigger: 'manual',
+    },
+  });
+
+  const bridgeTimes = gapEnd > gapStart ? [gapStart, gapEnd] : [gapStart];
+  for (const timestamp of bridgeTimes) {
+    merged.records.push({
+      timestamp,
+      speed: 0,
+      heartRate: null,
+      distance,
+      positionLat: null,
+      positionLong: null,
+      cadence: null,
+      power: null,
+      altitude: null,
+      developerFields: null,
+    });
+    merged.rawOrderedMessages.push({
+      mesgNum: Profile.MesgNum.RECORD,
+      data: { timestamp: toFitTimestamp(timestamp), distance, speed: 0 },
+    });
+  }
+
+  merged.sources.push({
+    name: `${prevName} → ${nextName}`,
+    kind: 'gap',
+    sport: 'transition',
+    subSport: 'generic',
+    startRecordIndex,
+    endRecordIndex: merged.records.length - 1,
+  });
+}
+
+function toFitTimestamp(date) {
+  return Math.round((date.getTime() - Utils.FIT_EPOCH_MS) / 1000);
+}
@@ -1,14 +1,26 @@
-import { Decoder, Stream, Profile } from '@garmin/fitsdk';
+import { Decoder, Stream, Profile, Utils } from '@garmin/fitsdk';
+import { createError } from './errors.js';
+
+// Messages decoded between progress reports
+const PROGRESS_INTERVAL_MESGS = 5000;
 
 /**
  * Decodes a FIT file from an ArrayBuffer and returns structured data
  * for visualization and re-encoding.
+ *
+ * The file is read once: the raw messages (FIT timestamps, heart rates as recorded) are
+ * kept in order for re-encoding, and the records, sessions, laps and timer events for the
+ * editor are derived from them with dates and the HR messages merged into the records.
+ *
+ * @param {ArrayBuffer} arrayBuffer - FIT file contents
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the fraction of the file read (0-1)
  */
-export function decodeFitFile(arrayBuffer) {
+export function decodeFitFile(arrayBuffer, { onProgress } = {}) {
   const stream = Stream.fromArrayBuffer(arrayBuffer);
 
   if (!Decoder.isFIT(stream)) {
-    throw new Error('El archivo no es un fichero FIT válido.');
+    throw createError('notFit', {}, 'El archivo no es un fichero FIT válido.');
   }
 
   const decoder = new Decoder(stream);
@@ -16,14 +28,19 @@ export function decodeFitFile(arrayBuffer) {
     console.warn('Advertencia: La integridad del archivo FIT no se pudo verificar. Se intentará decodificar igualmente.');
   }
 
-  // Capture all messages in order for re-encoding
-  const orderedMessages = [];
+  // Capture all messages in order for re-encoding. They are copied as they are read, so
+  // the heart rates the decoder merges into the grouped records afterwards don't reach them
+  const rawOrderedMessages = [];
+  // Developer field descriptions keyed like record developerFields, needed by the encoder
+  const fieldDescriptions = {};
   const onMesg = (messageNumber, message) => {
-    orderedMessages.push({
+    rawOrderedMessages.push({
       mesgNum: messageNumber,
-      mesgName: Profile.types.mesgNum[messageNumber] || `unknown_${messageNumber}`,
       data: { ...message },
     });
+    if (onProgress && rawOrderedMessages.length % PROGRESS_INTERVAL_MESGS === 0) {
+      onProgress(stream.position / stream.length);
+    }
   };
 
   const { messages, errors } = decoder.read({
@@ -32,40 +49,23 @@ export function decodeFitFile(arrayBuffer) {
     expandSubFields: true,
     expandComponents: true,
     convertTypesToStrings: true,
-    convertDateTimesToDates: true,
+    convertDateTimesToDates: false,
     includeUnknownData: true,
     mergeHeartRates: true,
+    fieldDescriptionListener: (key, developerDataIdMesg, fieldDescriptionMesg) => {
+      fieldDescriptions[key] = { developerDataIdMesg, fieldDescriptionMesg };
+    },
   });
 
   if (errors.length > 0) {
     console.warn('Errores durante la decodificación:', errors);
   }
 
-  // Also decode with raw values for re-encoding
-  const rawStream = Stream.fromArrayBuffer(arrayBuffer);
-  const rawDecoder = new Decoder(rawStream);
-  const rawOrderedMessages = [];
-  const onRawMesg = (messageNumber, message) => {
-    rawOrderedMessages.push({
-      mesgNum: messageNumber,
-      data: { ...message },
-    });
-  };
-
-  rawDecoder.read({
-    mesgListener: onRawMesg,
-    applyScaleAndOffset: true,
-    expandSubFields: true,
-    expandComponents: true,
-    convertTypesToStrings: true,
-    convertDateTimesToDates: false,
-    includeUnknownData: true,
-    mergeHeartRates: false,
-  });
+  const toDate = (value) => (value == null ? value : Utils.convertDateTimeToDate(value));
 
   // Extract records for chart data
   const records = (messages.recordMesgs || []).map((r) => ({
-    timestamp: r.timestamp,
+    timestamp: toDate(r.timestamp),
     speed: r.enhancedSpeed ?? r.speed ?? null,
     heartRate: r.heartRate ?? null,
     distance: r.distance ?? null,
@@ -74,31 +74,47 @@ export function decodeFitFile(arrayBuffer) {
     cadence: r.cadence ?? null,
     power: r.power ?? null,
     altitude: r.enhancedAltitude ?? r.altitude ?? null,
+    developerFields: r.developerFields ?? null,
   }));
 
   // Extract sessions
   const sessions = (messages.sessionMesgs || []).map((s) => ({
     sport: s.sport ?? 'unknown',
     subSport: s.subSport ?? 'generic',
-    startTime: s.startTime,
-    timestamp: s.timestamp,
+    startTime: toDate(s.startTime),
+    timestamp: toDate(s.timestamp),
     totalElapsedTime: s.totalElapsedTime ?? 0,
     totalTimerTime: s.totalTimerTime ?? 0,
     totalDistance: s.totalDistance ?? 0,
     avgHeartRate: s.avgHeartRate ?? null,
     avgSpeed: s.enhancedAvgSpeed ?? s.avgSpeed ?? null,
+    totalCalories: s.totalCalories ?? null,
+    totalAscent: s.totalAscent ?? null,
+    totalDescent: s.totalDescent ?? null,
+    totalTrainingEffect: s.totalTrainingEffect ?? null,
+    totalAnaerobicTrainingEffect: s.totalAnaerobicTrainingEffect ?? null,
+    developerFields: s.developerFields ?? null,
   }));
 
   // Extract laps
   const laps = (messages.lapMesgs || []).map((l) => ({
-    startTime: l.startTime,
-    timestamp: l.timestamp,
+    startTime: toDate(l.startTime),
+    timestamp: toDate(l.timestamp),
     totalElapsedTime: l.totalElapsedTime ?? 0,
     totalTimerTime: l.totalTimerTime ?? 0,
     totalDistance: l.totalDistance ?? 0,
     sport: l.sport ?? null,
   }));
 
+  // Extract timer events (manual start/stop and auto-pause)
+  const timerEvents = (messages.eventMesgs || [])
+    .filter((e) => e.event === 'timer' && e.timestamp)
+    .map((e) => ({
+      timestamp: toDate(e.timestamp),
+      eventType: e.eventType ?? null,
+      timerTrigger: e.timerTrigger ?? null,
+    }));
+
   // Compute overall summary
   const firstRecord = records[0];
   const lastRecord = records[records.length - 1];
@@ -111,8 +127,10 @@ export function decodeFitFile(arrayBuffer) {
     records,
     sessions,
     laps,
+    timerEvents,
     summary: {
       sport: originalSport,
+      subSport: sessions[0]?.subSport ?? 'generic',
       totalDurationSec,
       totalDistance,
       avgHeartRate: avgHr,
@@ -120,7 +138,7 @@ export function decodeFitFile(arrayBuffer) {
       endTime: lastRecord?.timestamp ?? null,
     },
     rawOrderedMessages,
-    messages,
+    fieldDescriptions,
   };
 }
 
@@ -137,31 +155,276 @@ export function formatDuration(seconds) {
   return `${m}:${String(s).padStart(2, '0')}`;
 }
 
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_YARD = 0.9144;
+
+/**
+ * Display units of each unit system, as the meters in one of them: long distances,
+ * swimming distances, pace (minutes per distance), speed (distance per hour) and elevation
+ */
+export const UNIT_SYSTEMS = {
+  metric: {
+    distance: { meters: 1000, unit: 'km' },
+    swimDistance: { meters: 1, unit: 'm' },
+    pace: { meters: 1000, unit: 'min/km' },
+    swimPace: { meters: 100, unit: 'min/100 m' },
+    speed: { meters: 1000, unit: 'km/h' },
+    elevation: { meters: 1, unit: 'm' },
+  },
+  imperial: {
+    distance: { meters: METERS_PER_MILE, unit: 'mi' },
+    swimDistance: { meters: METERS_PER_YARD, unit: 'yd' },
+    pace: { meters: METERS_PER_MILE, unit: 'min/mi' },
+    swimPace: { meters: 100 * METERS_PER_YARD, unit: 'min/100 yd' },
+    speed: { meters: METERS_PER_MILE, unit: 'mph' },
+    elevation: { meters: 0.3048, unit: 'ft' },
+  },
+};
+
 /**
- * Formats distance in meters to km with 2 decimals
+ * Sports whose speed is given as a pace per km or mile
  */
-export function formatDistance(meters) {
+const PACE_SPORTS = new Set([
+  'running',
+  'walking',
+  'hiking',
+  'transition',
+  'mountaineering',
+  'snowshoeing',
+  'wheelchairPushWalk',
+  'wheelchairPushRun',
+]);
+
+/**
+ * How the speed of a sport is usually shown: 'swimPace' (per 100 m or yd),
+ * 'pace' (per km or mile) or 'speed'
+ */
+export function getSpeedDisplay(sport) {
+  if (sport === 'swimming') return 'swimPace';
+  return PACE_SPORTS.has(sport) ? 'pace' : 'speed';
+}
+
+/**
+ * Formats distance in meters to km (miles in the imperial units) with 2 decimals, or
+ * to whole meters (yards) for swimming, with the decimal separator of locale (a BCP 47 tag) if given
+ */
+export function formatDistance(meters, { locale, units = 'metric', sport } = {}) {
   if (meters == null) return '-';
-  return (meters / 1000).toFixed(2) + ' km';
+  const { distance, swimDistance } = UNIT_SYSTEMS[units];
+  if (sport === 'swimming') {
+    return `${formatDecimal(meters / swimDistance.meters, 0, locale)} ${swimDistance.unit}`;
+  }
+  return `${formatDecimal(meters / distance.meters, 2, locale)} ${distance.unit}`;
 }
 
 /**
- * Formats speed from m/s to km/h
+ * Formats speed from m/s to km/h (mph in the imperial units)
  */
-export function formatSpeed(mps) {
+export function formatSpeed(mps, { locale, units = 'metric' } = {}) {
   if (mps == null) return null;
-  return (mps * 3.6).toFixed(1);
+  return formatDecimal(toSpeedUnits(mps, units), 1, locale);
 }
 
 /**
- * Available sport types for the user to select
+ * Formats speed from m/s the way the sport shows it, with its unit:
+ * "5:12 min/km" running, "1:45 min/100 m" swimming or "28.5 km/h" cycling
  */
-export const SPORT_TYPES = [
-  { value: 'running', label: 'Carrera' },
-  { value: 'cycling', label: 'Ciclismo' },
-  { value: 'transition', label: 'Transición' },
-  { value: 'swimming', label: 'Natación' },
-  { value: 'walking', label: 'Caminata' },
-  { value: 'hiking', label: 'Senderismo' },
-  { value: 'generic', label: 'Genérico' },
-];
+export function formatSportSpeed(mps, { sport, locale, units = 'metric' } = {}) {
+  if (!(mps > 0)) return '-';
+
+  const display = getSpeedDisplay(sport);
+  const system = UNIT_SYSTEMS[units];
+  if (display === 'speed') {
+    return `${formatDecimal(toSpeedUnits(mps, units), 1, locale)} ${system.speed.unit}`;
+  }
+  return `${formatDuration(system[display].meters / mps)} ${system[display].unit}`;
+}
+
+function toSpeedUnits(mps, units) {
+  return (mps * 3600) / UNIT_SYSTEMS[units].speed.meters;
+}
+
+function formatDecimal(value, digits, locale) {
+  if (!locale) return value.toFixed(digits);
+  return value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Labels for the sports shown in the selector. Sports without a label here
+ * are shown with their FIT profile name.
+ */
+const SPORT_LABELS = {
+  running: 'Carrera',
+  cycling: 'Ciclismo',
+  transition: 'Transición',
+  swimming: 'Natación',
+  walking: 'Caminata',
+  hiking: 'Senderismo',
+  generic: 'Genérico',
+  fitnessEquipment: 'Máquina de fitness',
+  training: 'Entrenamiento',
+  crossCountrySkiing: 'Esquí de fondo',
+  alpineSkiing: 'Esquí alpino',
+  snowboarding: 'Snowboard',
+  rowing: 'Remo',
+  mountaineering: 'Alpinismo',
+  multisport: 'Multideporte',
+  paddling: 'Palas',
+  eBiking: 'Bici eléctrica',
+  inlineSkating: 'Patinaje en línea',
+  rockClimbing: 'Escalada',
+  iceSkating: 'Patinaje sobre hielo',
+  snowshoeing: 'Raquetas de nieve',
+  standUpPaddleboarding: 'Paddle surf',
+  surfing: 'Surf',
+  kayaking: 'Kayak',
+  wheelchairPushWalk: 'Silla de ruedas (caminar)',
+  wheelchairPushRun: 'Silla de ruedas (carrera)',
+  hiit: 'HIIT',
+  racket: 'Raqueta',
+  diving: 'Buceo',
+};
+
+/**
+ * Labels for the sub-sports shown in the selector
+ */
+const SUB_SPORT_LABELS = {
+  generic: 'Genérico',
+  treadmill: 'Cinta',
+  street: 'Calle',
+  trail: 'Trail',
+  track: 'Pista',
+  indoorRunning: 'Interior',
+  ultra: 'Ultra',
+  obstacle: 'Obstáculos',
+  virtualActivity: 'Virtual',
+  spin: 'Spinning',
+  indoorCycling: 'Rodillo / interior',
+  road: 'Carretera',
+  mountain: 'Montaña',
+  downhill: 'Descenso',
+  recumbent: 'Reclinada',
+  cyclocross: 'Ciclocross',
+  handCycling: 'Handbike',
+  trackCycling: 'Pista',
+  gravelCycling: 'Gravel',
+  mixedSurface: 'Superficie mixta',
+  commuting: 'Desplazamiento',
+  bmx: 'BMX',
+  eBikeMountain: 'Montaña',
+  lapSwimming: 'Piscina',
+  openWater: 'Aguas abiertas',
+  swimToBikeTransition: 'T1 natación-bici',
+  bikeToRunTransition: 'T2 bici-carrera',
+  runToBikeTransition: 'T1 carrera-bici',
+  indoorWalking: 'Interior',
+  casualWalking: 'Paseo',
+  speedWalking: 'Marcha',
+  indoorRowing: 'Remo interior',
+  elliptical: 'Elíptica',
+  stairClimbing: 'Escaleras',
+  indoorSkiing: 'Esquí interior',
+  strengthTraining: 'Fuerza',
+  cardioTraining: 'Cardio',
+  flexibilityTraining: 'Flexibilidad',
+  yoga: 'Yoga',
+  pilates: 'Pilates',
+  skateSkiing: 'Skating',
+  backcountry: 'Travesía',
+  resort: 'Estación',
+  whitewater: 'Aguas bravas',
+  indoorClimbing: 'Rocódromo',
+  bouldering: 'Bloque',
+};
+
+/**
+ * Transition sub-sport by the sports before and after the transition, keyed "<before>><after>"
+ */
+export const TRANSITION_SUB_SPORTS = {
+  'swimming>cycling': 'swimToBikeTransition',
+  'cycling>running': 'bikeToRunTransition',
+  'running>cycling': 'runToBikeTransition',
+};
+
+/**
+ * Valid sub-sports per sport, following the sport/sub_sport combinations of the FIT profile.
+ * Sports not listed only accept 'generic'.
+ */
+const SUB_SPORTS_BY_SPORT = {
+  running: ['generic', 'street', 'trail', 'track', 'treadmill', 'indoorRunning', 'ultra', 'obstacle', 'virtualActivity'],
+  cycling: ['generic', 'road', 'mountain', 'gravelCycling', 'cyclocross', 'trackCycling', 'indoorCycling', 'spin',
+    'downhill', 'recumbent', 'handCycling', 'bmx', 'mixedSurface', 'commuting', 'virtualActivity'],
+  transition: ['generic', 'swimToBikeTransition', 'bikeToRunTransition', 'runToBikeTransition'],
+  swimming: ['generic', 'openWater', 'lapSwimming'],
+  walking: ['generic', 'casualWalking', 'speedWalking', 'indoorWalking'],
+  fitnessEquipment: ['generic', 'indoorRowing', 'elliptical', 'stairClimbing', 'indoorSkiing'],
+  training: ['generic', 'strengthTraining', 'cardioTraining', 'flexibilityTraining', 'yoga', 'pilates'],
+  crossCountrySkiing: ['generic', 'skateSkiing', 'backcountry'],
+  alpineSkiing: ['generic', 'backcountry', 'resort'],
+  snowboarding: ['generic', 'backcountry', 'resort'],
+  rowing: ['generic', 'indoorRowing'],
+  paddling: ['generic', 'whitewater'],
+  kayaking: ['generic', 'whitewater'],
+  rafting: ['generic', 'whitewater'],
+  eBiking: ['generic', 'eBikeMountain', 'commuting'],
+  rockClimbing: ['generic', 'indoorClimbing', 'bouldering'],
+  hiit: ['generic', 'amrap', 'emom', 'tabata'],
+  racket: ['generic', 'pickleball', 'padel', 'squash', 'badminton', 'racquetball', 'tableTennis'],
+  diving: ['generic', 'singleGasDiving', 'multiGasDiving', 'gaugeDiving', 'apneaDiving', 'apneaHunting'],
+  sailing: ['generic', 'sailRace'],
+  wheelchairPushWalk: ['generic', 'indoorWheelchairWalk'],
+  wheelchairPushRun: ['generic', 'indoorWheelchairRun'],
+};
+
+/**
+ * Sports listed first in the selector, in this order
+ */
+const FEATURED_SPORTS = ['running', 'cycling', 'transition', 'swimming', 'walking', 'hiking', 'generic'];
+
+/**
+ * Turns a FIT profile name like "standUpPaddleboarding" into "Stand up paddleboarding"
+ */
+function humanizeProfileName(name) {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function toOption(value, labels) {
+  return { value, label: labels[value] ?? humanizeProfileName(value) };
+}
+
+/**
+ * Sport types for the user to select, taken from the FIT profile.
+ * labels replaces the Spanish labels (e.g. with a translation).
+ */
+export function getSportTypes(labels = SPORT_LABELS) {
+  return [
+    ...FEATURED_SPORTS.map((value) => toOption(value, labels)),
+    ...Object.values(Profile.types.sport)
+      .filter((value) => value !== 'all' && !FEATURED_SPORTS.includes(value))
+      .map((value) => toOption(value, labels))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+  ];
+}
+
+/**
+ * Available sport types with their Spanish labels
+ */
+export const SPORT_TYPES = getSportTypes();
+
+/**
+ * Sub-sport types valid for the given sport, labelled as in getSportTypes()
+ */
+export function getSubSportTypes(sport, labels = SUB_SPORT_LABELS) {
+  const validSubSports = new Set(Object.values(Profile.types.subSport));
+  return (SUB_SPORTS_BY_SPORT[sport] ?? ['generic'])
+    .filter((value) => validSubSports.has(value))
+    .map((value) => toOption(value, labels));
+}
+
+/**
+ * Returns subSport if it is valid for sport, otherwise 'generic'
+ */
+export function normalizeSubSport(sport, subSport) {
+  return getSubSportTypes(sport).some((s) => s.value === subSport) ? subSport : 'generic';
+}
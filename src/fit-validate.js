@@ -0,0 +1,311 @@
+import { Decoder, Stream, Profile } from '@garmin/fitsdk';
+
+// Distances can differ by the step between the records around a removed stretch
+const DISTANCE_TOLERANCE_M = 20;
+const DISTANCE_TOLERANCE_RATIO = 0.005;
+// Records missing this close to a cut are reported as lost at that cut
+const CUT_NEIGHBOURHOOD_RECORDS = 2;
+
+/**
+ * Decodes a generated FIT file again and compares it with the source activity and the
+ * segments it was built from: integrity (CRC), records, HR and power samples, duration,
+ * distance, sessions (count, sports and overlaps) and the message types that were left out.
+ *
+ * @param {Object} originalData - Data the file was encoded from (decodeFitFile() or mergeParsedFiles())
+ * @param {Array} segments - Segments passed to encodeFitFile()
+ * @param {Uint8Array} bytes - Output of encodeFitFile()
+ * @returns {Object} { ok, checks: [{ level, code, params, message }],
+ *   stats: [{ key, label, type, original, expected, output, ok }], droppedMessages: [{ name, count }] }
+ *   where level is 'error' or 'warning' and type is 'count', 'duration' (seconds) or 'distance' (meters).
+ *   code and key identify the check and the stat (with params for its values) so a UI can word them
+ *   in its own language; message and label are in Spanish.
+ */
+export function validateFitFile(originalData, segments, bytes) {
+  const output = decodeOutput(bytes);
+  if (!output) {
+    return {
+      ok: false,
+      checks: [createCheck('error', 'notFit', {}, 'El archivo generado no es un fichero FIT válido.')],
+      stats: [],
+      droppedMessages: [],
+    };
+  }
+
+  const checks = [];
+  if (!output.integrity) {
+    checks.push(createCheck(
+      'error',
+      'integrity',
+      {},
+      'La comprobación de integridad (CRC) del archivo generado ha fallado.'
+    ));
+  }
+  for (const err of output.errors) {
+    checks.push(createCheck(
+      'error',
+      'readError',
+      { error: err.message },
+      `Error al leer el archivo generado: ${err.message}`
+    ));
+  }
+
+  const { records } = originalData;
+  const keptSegments = segments.filter((s) => !s.discard);
+  const keptRecords = keptSegments.flatMap((s) => records.slice(s.startRecordIndex, s.endRecordIndex + 1));
+  const outRecords = output.messages.recordMesgs ?? [];
+  const outSessions = [...(output.messages.sessionMesgs ?? [])].sort((a, b) => a.startTime - b.startTime);
+
+  checks.push(...checkRecords(records, keptSegments, outRecords));
+  checks.push(...checkSessions(keptSegments, outSessions, output.messages));
+
+  const stats = [
+    countStat('records', 'Registros', records, keptRecords, outRecords, () => true),
+    countStat('hrSamples', 'Muestras de FC', records, keptRecords, outRecords, (r) => r.heartRate != null),
+    countStat('powerSamples', 'Muestras de potencia', records, keptRecords, outRecords, (r) => r.power != null),
+    {
+      key: 'duration',
+      label: 'Duración',
+      type: 'duration',
+      original: getDuration(records),
+      expected: getDuration(keptRecords),
+      output: getDuration(outRecords),
+    },
+    {
+      key: 'distance',
+      label: 'Distancia',
+      type: 'distance',
+      original: getDistance(records),
+      expected: getKeptDistance(records, keptSegments),
+      output: getDistance(outRecords),
+    },
+    {
+      key: 'sessions',
+      label: 'Sesiones',
+      type: 'count',
+      original: originalData.sessions.length,
+      expected: keptSegments.length,
+      output: outSessions.length,
+    },
+  ].map((stat) => ({ ...stat, ok: isStatOk(stat) }));
+
+  for (const stat of stats) {
+    if (stat.ok || stat.key === 'records' || stat.key === 'sessions') continue;
+    const level = stat.type === 'count' ? 'error' : 'warning';
+    checks.push(createCheck(
+      level,
+      'statMismatch',
+      { stat: stat.key },
+      `${stat.label}: el archivo generado no coincide con lo esperado.`
+    ));
+  }
+
+  const droppedMessages = findDroppedMessages(originalData.rawOrderedMessages, output.mesgCounts);
+
+  return {
+    ok: !checks.some((c) => c.level === 'error'),
+    checks,
+    stats,
+    droppedMessages,
+  };
+}
+
+/**
+ * Decode the generated bytes the same way decodeFitFile() reads the source,
+ * counting the messages of each type; null if the bytes are not a FIT file
+ */
+function decodeOutput(bytes) {
+  const stream = Stream.fromByteArray(bytes);
+  if (!Decoder.isFIT(stream)) return null;
+
+  const decoder = new Decoder(stream);
+  const integrity = decoder.checkIntegrity();
+  const mesgCounts = new Map();
+
+  const { messages, errors } = decoder.read({
+    mesgListener: (messageNumber) => mesgCounts.set(messageNumber, (mesgCounts.get(messageNumber) ?? 0) + 1),
+    applyScaleAndOffset: true,
+    expandSubFields: true,
+    expandComponents: true,
+    convertTypesToStrings: true,
+    convertDateTimesToDates: true,
+    mergeHeartRates: true,
+  });
+
+  return { integrity, messages, errors, mesgCounts };
+}
+
+/**
+ * Records of the kept segments missing from the output (naming the cuts they were lost at),
+ * records that shouldn't be there and records out of order
+ */
+function checkRecords(records, keptSegments, outRecords) {
+  const checks = [];
+  const outTimes = new Set(outRecords.map((r) => r.timestamp.getTime()));
+  const cuts = keptSegments.flatMap((s) => [s.startRecordIndex, s.endRecordIndex + 1]);
+
+  const missing = [];
+  const expectedTimes = new Set();
+  for (const segment of keptSegments) {
+    for (let i = segment.startRecordIndex; i <= segment.endRecordIndex; i++) {
+      const time = records[i].timestamp.getTime();
+      expectedTimes.add(time);
+      if (!outTimes.has(time)) missing.push(i);
+    }
+  }
+
+  if (missing.length > 0) {
+    const atCuts = missing.filter((i) => cuts.some((cut) => Math.abs(cut - i) <= CUT_NEIGHBOURHOOD_RECORDS)).length;
+    const where = atCuts > 0 ? ` (${atCuts} junto a los límites de los segmentos)` : '';
+    checks.push(createCheck(
+      'error',
+      atCuts > 0 ? 'missingRecordsAtCuts' : 'missingRecords',
+      { count: missing.length, atCuts },
+      `Faltan ${missing.length} registros en el archivo generado${where}.`
+    ));
+  }
+
+  const extra = outRecords.filter((r) => !expectedTimes.has(r.timestamp.getTime())).length;
+  if (extra > 0) {
+    checks.push(createCheck(
+      'error',
+      'extraRecords',
+      { count: extra },
+      `El archivo generado tiene ${extra} registros que no deberían estar.`
+    ));
+  }
+
+  if (outRecords.some((r, i) => i > 0 && r.timestamp <= outRecords[i - 1].timestamp)) {
+    checks.push(createCheck(
+      'error',
+      'recordOrder',
+      {},
+      'Los registros del archivo generado no están en orden cronológico o se repiten.'
+    ));
+  }
+
+  return checks;
+}
+
+/**
+ * One session per kept segment, with its sport, not overlapping the next one,
+ * and an activity message that counts them
+ */
+function checkSessions(keptSegments, outSessions, messages) {
+  const checks = [];
+
+  if (outSessions.length !== keptSegments.length) {
+    checks.push(createCheck(
+      'error',
+      'sessionCount',
+      { count: outSessions.length, expected: keptSegments.length },
+      `El archivo generado tiene ${outSessions.length} sesiones y debería tener ${keptSegments.length}.`
+    ));
+  } else {
+    outSessions.forEach((session, i) => {
+      if (session.sport !== keptSegments[i].sport) {
+        checks.push(createCheck(
+          'error',
+          'sessionSport',
+          { session: i + 1, sport: session.sport, expected: keptSegments[i].sport },
+          `La sesión ${i + 1} es de ${session.sport} y debería ser de ${keptSegments[i].sport}.`
+        ));
+      }
+    });
+  }
+
+  outSessions.slice(1).forEach((session, i) => {
+    const previous = outSessions[i];
+    const previousEnd = previous.startTime.getTime() + (previous.totalElapsedTime ?? 0) * 1000;
+    if (previousEnd > session.startTime.getTime()) {
+      checks.push(createCheck(
+        'error',
+        'sessionOverlap',
+        { first: i + 1, second: i + 2 },
+        `Las sesiones ${i + 1} y ${i + 2} se solapan en el tiempo.`
+      ));
+    }
+  });
+
+  if ((messages.lapMesgs ?? []).length === 0) {
+    checks.push(createCheck('error', 'noLaps', {}, 'El archivo generado no tiene vueltas.'));
+  }
+
+  const activity = messages.activityMesgs?.[0];
+  if (!activity) {
+    checks.push(createCheck('error', 'noActivity', {}, 'El archivo generado no tiene mensaje de actividad.'));
+  } else if (activity.numSessions != null && activity.numSessions !== outSessions.length) {
+    checks.push(createCheck(
+      'warning',
+      'activitySessions',
+      { declared: activity.numSessions, count: outSessions.length },
+      `La actividad indica ${activity.numSessions} sesiones, pero el archivo tiene ${outSessions.length}.`
+    ));
+  }
+
+  return checks;
+}
+
+function createCheck(level, code, params, message) {
+  return { level, code, params, message };
+}
+
+function countStat(key, label, records, keptRecords, outRecords, predicate) {
+  return {
+    key,
+    label,
+    type: 'count',
+    original: records.filter(predicate).length,
+    expected: keptRecords.filter(predicate).length,
+    output: outRecords.filter(predicate).length,
+  };
+}
+
+function isStatOk({ type, expected, output }) {
+  if (type === 'count') return expected === output;
+  if (type === 'duration') return Math.abs(expected - output) < 1;
+  return Math.abs(expected - output) <= Math.max(DISTANCE_TOLERANCE_M, expected * DISTANCE_TOLERANCE_RATIO);
+}
+
+function getDuration(records) {
+  if (records.length === 0) return 0;
+  return (records[records.length - 1].timestamp - records[0].timestamp) / 1000;
+}
+
+/**
+ * Distance covered between the first and last records with a distance
+ */
+function getDistance(records) {
+  const distances = records.map((r) => r.distance).filter((d) => d != null);
+  return distances.length > 0 ? distances[distances.length - 1] - distances[0] : 0;
+}
+
+/**
+ * Distance of the kept records: removed stretches don't count, as the encoder rebases
+ * the distances after them
+ */
+function getKeptDistance(records, keptSegments) {
+  const runs = [];
+  for (const segment of keptSegments) {
+    const last = runs[runs.length - 1];
+    if (last && last.end === segment.startRecordIndex - 1) {
+      last.end = segment.endRecordIndex;
+    } else {
+      runs.push({ start: segment.startRecordIndex, end: segment.endRecordIndex });
+    }
+  }
+  return runs.reduce((sum, run) => sum + getDistance(records.slice(run.start, run.end + 1)), 0);
+}
+
+/**
+ * Message types in the source that the generated file doesn't have
+ */
+function findDroppedMessages(rawOrderedMessages, outCounts) {
+  const sourceCounts = new Map();
+  for (const { mesgNum } of rawOrderedMessages) {
+    sourceCounts.set(mesgNum, (sourceCounts.get(mesgNum) ?? 0) + 1);
+  }
+
+  return [...sourceCounts]
+    .filter(([mesgNum]) => !outCounts.has(mesgNum))
+    .map(([mesgNum, count]) => ({ name: Profile.types.mesgNum[mesgNum] ?? `unknown_${mesgNum}`, count }));
+}
@@ -0,0 +1,176 @@
+/**
+ * Page side of fit-worker.js. Activities are loaded into the worker once and then
+ * referred to by id. Cancelling terminates the worker, so the files of every activity
+ * are kept here and loaded again into a new worker the next time a task needs them.
+ *
+ * Tasks report progress through onProgress(phase, progress), where phase is 'decode',
+ * 'merge', 'segment', 'encode' or 'validate' and progress a fraction (0-1) or null if unknown.
+ * Failed tasks reject with the worker's error, code and params included (see errors.js).
+ */
+import { createError } from './errors.js';
+
+let worker = null;
+let nextTaskId = 1;
+let nextActivityId = 1;
+const pendingTasks = new Map(); // taskId -> { resolve, reject, onProgress }
+const activities = new Map(); // activity id -> { files, gapsAsTransitions }
+const loadedActivities = new Set(); // Activity ids the current worker holds
+
+/**
+ * Decode the files of an activity in the worker, merging them if there are several
+ *
+ * @param {Array} files - Array of { name, data: ArrayBuffer }
+ * @returns {Promise<{ id: number, data: Object }>} data is decodeFitFile() (or mergeParsedFiles())
+ *   output without the raw messages
+ */
+export async function loadActivity(files, { gapsAsTransitions = true, onProgress } = {}) {
+  const id = nextActivityId++;
+  activities.set(id, { files, gapsAsTransitions });
+  try {
+    return { id, data: await loadIntoWorker(id, onProgress) };
+  } catch (err) {
+    activities.delete(id);
+    throw err;
+  }
+}
+
+/**
+ * Merge the files of a loaded activity again
+ *
+ * @returns {Promise<Object>} The merged data, as in loadActivity()
+ */
+export async function mergeActivity(id, { gapsAsTransitions, onProgress } = {}) {
+  const data = await runTask('merge', { id, gapsAsTransitions }, { activityIds: [id], onProgress });
+  // Only now, so that a cancelled merge reloads the activity as the page still has it
+  activities.get(id).gapsAsTransitions = gapsAsTransitions;
+  return data;
+}
+
+/**
+ * Segments of a loaded activity with a preset or the automatic detection (see segmentActivity())
+ *
+ * @returns {Promise<{ cuts: Array<number>, segments: Array }>}
+ */
+export function segmentLoadedActivity(id, preset, { onProgress } = {}) {
+  return runTask('segment', { id, preset }, { activityIds: [id], onProgress });
+}
+
+/**
+ * Encode a loaded activity as 'fit', 'tcx', 'gpx' or 'zip' (one FIT per segment).
+ * sportTypes are the sport names GPX/TCX files give their segments (see encodeGpxFile()),
+ * and with fileName they name the files of the ZIP: <fileName>_<n>_<sport>.fit.
+ *
+ * @returns {Promise<{ data: Uint8Array|string, reports: Array }>} reports holds a
+ *   { title, report } from validateFitFile() per FIT file written
+ */
+export function encodeActivity(id, segments, format, { sportTypes, fileName, onProgress } = {}) {
+  return runTask('encode', { id, segments, format, sportTypes, fileName }, { activityIds: [id], onProgress });
+}
+
+/**
+ * Encode several loaded activities as 'fit', 'tcx' or 'gpx' in one ZIP (see encodeBatch())
+ *
+ * @param {Array} items - Array of { id, name, segments }
+ * @returns {Promise<{ data: Uint8Array, reports: Array }>} ZIP file bytes; reports holds a
+ *   { title, report } from validateFitFile() per FIT file, titled with its item's name
+ */
+export function encodeActivityBatch(items, format, { sportTypes, onProgress } = {}) {
+  const activityIds = items.map((item) => item.id);
+  return runTask('encodeBatch', { items, format, sportTypes }, { activityIds, onProgress });
+}
+
+/**
+ * Forget activities that won't be used again
+ */
+export function releaseActivities(ids) {
+  for (const id of ids) {
+    activities.delete(id);
+    loadedActivities.delete(id);
+  }
+  if (worker) postTask('release', { ids }).catch(() => {});
+}
+
+/**
+ * Stop the running tasks: their promises reject with an error named 'AbortError'
+ */
+export function cancelWorkerTasks() {
+  if (!worker) return;
+
+  worker.terminate();
+  worker = null;
+  loadedActivities.clear();
+
+  for (const { reject } of pendingTasks.values()) {
+    const err = createError('cancelled', {}, 'Operación cancelada.');
+    err.name = 'AbortError';
+    reject(err);
+  }
+  pendingTasks.clear();
+}
+
+export function isCancelledError(err) {
+  return err?.name === 'AbortError';
+}
+
+async function runTask(type, payload, { activityIds = [], onProgress } = {}) {
+  for (const id of activityIds) {
+    if (!activities.has(id)) throw createError('activityNotLoaded', {}, 'La actividad ya no está cargada.');
+    if (!loadedActivities.has(id)) await loadIntoWorker(id, onProgress);
+  }
+  return postTask(type, payload, onProgress);
+}
+
+async function loadIntoWorker(id, onProgress) {
+  const data = await postTask('load', { id, ...activities.get(id) }, onProgress);
+  loadedActivities.add(id);
+  return data;
+}
+
+function postTask(type, payload, onProgress = null) {
+  const taskId = nextTaskId++;
+  return new Promise((resolve, reject) => {
+    pendingTasks.set(taskId, { resolve, reject, onProgress });
+    getWorker().postMessage({ taskId, type, payload });
+  });
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./fit-worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', onWorkerMessage);
+    worker.addEventListener('error', onWorkerError);
+  }
+  return worker;
+}
+
+function onWorkerMessage(e) {
+  const { taskId, type } = e.data;
+  const task = pendingTasks.get(taskId);
+  if (!task) return;
+
+  if (type === 'progress') {
+    task.onProgress?.(e.data.phase, e.data.progress);
+    return;
+  }
+
+  pendingTasks.delete(taskId);
+  if (type === 'result') {
+    task.resolve(e.data.result);
+  } else {
+    task.reject(createError(e.data.code, e.data.params, e.data.message));
+  }
+}
+
+/**
+ * The worker failed outside a task (e.g. it couldn't be loaded): fail every pending task
+ */
+function onWorkerError(e) {
+  console.error('Error en el worker:', e);
+  for (const { reject } of pendingTasks.values()) {
+    reject(createError('workerFailed', {}, e.message || 'No se pudo ejecutar el worker.'));
+  }
+  pendingTasks.clear();
+  worker.terminate();
+  worker = null;
+  loadedActivities.clear();
+}
@@ -0,0 +1,171 @@
+/**
+ * Web Worker that decodes, segments and encodes activities off the page's main thread.
+ * It keeps each decoded activity (its raw messages are the bulk of it) and sends the page
+ * only what the editor shows; later tasks refer to the activity by its id.
+ *
+ * Messages in: { taskId, type, payload }. Messages out: { taskId, type: 'progress', phase, progress },
+ * then { taskId, type: 'result', result } or { taskId, type: 'error', code, params, message }
+ * (see errors.js).
+ */
+import { decodeFitFile } from './fit-parser.js';
+import { encodeFitFile, encodeSegmentFiles } from './fit-encoder.js';
+import { encodeGpxFile, encodeTcxFile } from './xml-export.js';
+import { createZip } from './zip.js';
+import { mergeParsedFiles } from './fit-merge.js';
+import { segmentActivity, encodeBatch } from './batch.js';
+import { validateFitFile } from './fit-validate.js';
+import { SPORT_TYPES } from './fit-parser.js';
+import { createError, serializeError } from './errors.js';
+
+const activities = new Map(); // id -> { sources: Array of { name, parsedData }, parsedData }
+
+const ENCODERS = {
+  fit: encodeFitFile,
+  tcx: encodeTcxFile,
+  gpx: encodeGpxFile,
+};
+
+const TASKS = {
+  /**
+   * Decode the files of an activity, merging them if there are several
+   */
+  load({ id, files, gapsAsTransitions }, reportProgress) {
+    const totalBytes = files.reduce((sum, file) => sum + file.data.byteLength, 0);
+    let doneBytes = 0;
+
+    const sources = files.map(({ name, data }) => {
+      const parsedData = decodeFitFile(data, {
+        onProgress: (fraction) => reportProgress('decode', (doneBytes + fraction * data.byteLength) / totalBytes),
+      });
+      doneBytes += data.byteLength;
+      return { name, parsedData };
+    });
+
+    const activity = { sources, parsedData: mergeSources(sources, gapsAsTransitions, reportProgress) };
+    activities.set(id, activity);
+    return { result: toView(activity.parsedData) };
+  },
+
+  /**
+   * Merge the files of an activity again with other options
+   */
+  merge({ id, gapsAsTransitions }, reportProgress) {
+    const activity = getActivity(id);
+    activity.parsedData = mergeSources(activity.sources, gapsAsTransitions, reportProgress);
+    return { result: toView(activity.parsedData) };
+  },
+
+  segment({ id, preset }, reportProgress) {
+    reportProgress('segment');
+    return { result: segmentActivity(getActivity(id).parsedData, preset) };
+  },
+
+  /**
+   * Encode an activity in a download format; FIT files come with their validation reports.
+   * GPX/TCX segments and the files of the ZIP are named with the given sport names and
+   * base file name, both in the page's language.
+   */
+  encode({ id, segments, format, sportTypes = SPORT_TYPES, fileName = 'actividad' }, reportProgress) {
+    const { parsedData } = getActivity(id);
+    const onProgress = (fraction) => reportProgress('encode', fraction);
+
+    if (format === 'zip') {
+      const files = [];
+      const reports = [];
+      const encoded = encodeSegmentFiles(parsedData, segments, { onProgress });
+
+      reportProgress('validate');
+      for (const { segment, segmentIndex, data } of encoded) {
+        const name = `${fileName}_${segmentIndex + 1}_${getSportFileName(segment.sport, sportTypes)}.fit`;
+        files.push({ name, data, date: parsedData.records[segment.startRecordIndex].timestamp });
+
+        // Each file holds only its segment, as encodeSegmentFiles() encodes it
+        const onlyThisSegment = segments.map((s, i) => ({ ...s, discard: i !== segmentIndex }));
+        reports.push({ title: name, report: validateFitFile(parsedData, onlyThisSegment, data) });
+      }
+
+      const zip = createZip(files);
+      return { result: { data: zip, reports }, transfer: [zip.buffer] };
+    }
+
+    if (format === 'fit') {
+      const data = encodeFitFile(parsedData, segments, { onProgress });
+      reportProgress('validate');
+      const reports = [{ title: null, report: validateFitFile(parsedData, segments, data) }];
+      return { result: { data, reports }, transfer: [data.buffer] };
+    }
+
+    reportProgress('encode');
+    return { result: { data: ENCODERS[format](parsedData, segments, { sportTypes }), reports: [] } };
+  },
+
+  /**
+   * Encode several activities in one format and bundle them in a ZIP;
+   * FIT files come with their validation reports, as in encode
+   */
+  encodeBatch({ items, format, sportTypes }, reportProgress) {
+    let done = 0;
+    const reports = [];
+    const encode = (parsedData, segments, { name }) => {
+      reportProgress('encode', done++ / items.length);
+      const data = ENCODERS[format](parsedData, segments, { sportTypes });
+      if (format === 'fit') reports.push({ title: name, report: validateFitFile(parsedData, segments, data) });
+      return data;
+    };
+
+    const zip = encodeBatch(
+      items.map(({ id, name, segments }) => ({ name, segments, parsedData: getActivity(id).parsedData })),
+      encode,
+      format
+    );
+    return { result: { data: zip, reports }, transfer: [zip.buffer] };
+  },
+
+  release({ ids }) {
+    for (const id of ids) activities.delete(id);
+    return { result: null };
+  },
+};
+
+self.addEventListener('message', (e) => {
+  const { taskId, type, payload } = e.data;
+  const reportProgress = (phase, progress = null) => {
+    self.postMessage({ taskId, type: 'progress', phase, progress });
+  };
+
+  try {
+    const { result, transfer = [] } = TASKS[type](payload, reportProgress);
+    self.postMessage({ taskId, type: 'result', result }, transfer);
+  } catch (err) {
+    console.error(`Error en la tarea ${type}:`, err);
+    self.postMessage({ taskId, type: 'error', ...serializeError(err) });
+  }
+});
+
+function getActivity(id) {
+  const activity = activities.get(id);
+  if (!activity) throw createError('activityNotLoaded', {}, 'La actividad ya no está cargada.');
+  return activity;
+}
+
+/**
+ * Sport name as part of a file name, e.g. "patinaje_en_línea" for "Patinaje en línea"
+ */
+function getSportFileName(sport, sportTypes) {
+  const label = sportTypes.find((s) => s.value === sport)?.label ?? sport;
+  return label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_|_$/g, '');
+}
+
+function mergeSources(sources, gapsAsTransitions, reportProgress) {
+  if (sources.length === 1) return sources[0].parsedData;
+  reportProgress('merge');
+  return mergeParsedFiles(sources, { gapsAsTransitions });
+}
+
+/**
+ * The data the editor uses, without the raw messages only the encoder needs
+ */
+function toView(parsedData) {
+  const { rawOrderedMessages, fieldDescriptions, ...view } = parsedData;
+  return view;
+}
@@ -0,0 +1,208 @@
+/**
+ * UI language and units: translated texts, sport names and locale-aware number, date,
+ * distance and speed formatting. Texts are looked up by key in the current language, then
+ * in Spanish; {name} placeholders are replaced with the given parameters. The chosen
+ * language and unit system are remembered in this browser.
+ */
+import {
+  getSportTypes,
+  getSubSportTypes,
+  formatDistance,
+  formatSportSpeed,
+  UNIT_SYSTEMS,
+} from './fit-parser.js';
+import * as es from './locales/es.js';
+import * as en from './locales/en.js';
+
+const STORAGE_KEY = 'fit-sport-editor:locale';
+const UNITS_STORAGE_KEY = 'fit-sport-editor:units';
+const DEFAULT_LOCALE = 'en';
+// Countries that measure distances in miles; everyone else starts with metric units
+const IMPERIAL_REGIONS = new Set(['US', 'LR', 'MM']);
+
+/**
+ * Available languages. tag is the locale numbers and dates are formatted with
+ * when the browser doesn't prefer a regional variant of the language.
+ */
+export const LOCALES = {
+  es: { label: 'Español', tag: 'es-ES', dictionary: es },
+  en: { label: 'English', tag: 'en-GB', dictionary: en },
+};
+
+let locale = detectLocale();
+let unitSystem = detectUnitSystem();
+let sportTypes = null; // Sport options of the current language, built on first use
+const listeners = new Set();
+
+/**
+ * Text of a key in the current language, with its {placeholders} filled from params
+ */
+export function t(key, params = {}) {
+  const text = LOCALES[locale].dictionary.messages[key] ?? es.messages[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * BCP 47 tag to format numbers and dates with: the browser's own language if it's
+ * a variant of the current one (so en-US keeps its dates), otherwise the language default
+ */
+export function getLocaleTag() {
+  const preferred = (navigator.languages ?? [navigator.language])
+    .find((tag) => tag?.toLowerCase().split('-')[0] === locale);
+  return preferred ?? LOCALES[locale].tag;
+}
+
+/**
+ * Switch the UI language and notify the listeners
+ */
+export function setLocale(value) {
+  if (!LOCALES[value] || value === locale) return;
+  locale = value;
+  sportTypes = null;
+  saveSetting(STORAGE_KEY, value);
+  for (const listener of listeners) listener();
+}
+
+/**
+ * 'metric' or 'imperial', see UNIT_SYSTEMS
+ */
+export function getUnitSystem() {
+  return unitSystem;
+}
+
+export function setUnitSystem(value) {
+  if (!UNIT_SYSTEMS[value] || value === unitSystem) return;
+  unitSystem = value;
+  saveSetting(UNITS_STORAGE_KEY, value);
+  for (const listener of listeners) listener();
+}
+
+/**
+ * Call listener() whenever the language or the unit system changes
+ */
+export function onDisplayChange(listener) {
+  listeners.add(listener);
+}
+
+// ===== Sports =====
+/**
+ * Sport options of the selector in the current language (see getSportTypes())
+ */
+export function getSportOptions() {
+  sportTypes ??= getSportTypes(LOCALES[locale].dictionary.sportLabels);
+  return sportTypes;
+}
+
+export function getSubSportOptions(sport) {
+  return getSubSportTypes(sport, LOCALES[locale].dictionary.subSportLabels);
+}
+
+export function getSportLabel(sport) {
+  return getSportOptions().find((s) => s.value === sport)?.label ?? sport;
+}
+
+// ===== Formatting =====
+export function formatNumber(value, options = {}) {
+  return value.toLocaleString(getLocaleTag(), options);
+}
+
+/**
+ * Share (0-1) as a whole percentage, e.g. "85 %" in Spanish and "85%" in English
+ */
+export function formatPercent(ratio) {
+  return formatNumber(ratio, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+/**
+ * Clock time of a date with seconds, or '-' if it isn't one
+ */
+export function formatTime(date) {
+  if (!(date instanceof Date)) return '-';
+  return date.toLocaleTimeString(getLocaleTag(), {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+export function formatDateTime(date) {
+  return date.toLocaleString(getLocaleTag(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Distance in the current units and locale, in meters or yards for swimming (see formatDistance())
+ */
+export function formatLocalDistance(meters, sport) {
+  return formatDistance(meters, { locale: getLocaleTag(), units: unitSystem, sport });
+}
+
+/**
+ * Pace or speed as the sport shows it, in the current units and locale (see formatSportSpeed())
+ */
+export function formatLocalSpeed(mps, sport) {
+  return formatSportSpeed(mps, { sport, locale: getLocaleTag(), units: unitSystem });
+}
+
+// ===== Static page =====
+/**
+ * Translate the page's static texts, marked with data-i18n (text), data-i18n-html
+ * (markup from the dictionary) and data-i18n-title (tooltip) attributes
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+    el.innerHTML = t(el.dataset.i18nHtml);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+  document.documentElement.lang = locale;
+  document.title = t('app.title');
+}
+
+function saveSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    console.warn('No se pudo guardar la preferencia:', err);
+  }
+}
+
+/**
+ * Saved language, else the first of the browser's languages that the UI has
+ */
+function detectLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (err) {
+    console.warn('No se pudo leer el idioma guardado:', err);
+  }
+
+  for (const tag of navigator.languages ?? [navigator.language]) {
+    const language = tag?.toLowerCase().split('-')[0];
+    if (LOCALES[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Saved unit system, else imperial if the browser's language is from a country that uses miles
+ */
+function detectUnitSystem() {
+  try {
+    const saved = localStorage.getItem(UNITS_STORAGE_KEY);
+    if (UNIT_SYSTEMS[saved]) return saved;
+  } catch (err) {
+    console.warn('No se pudieron leer las unidades guardadas:', err);
+  }
+
+  const region = navigator.language?.split('-')[1]?.toUpperCase();
+  return IMPERIAL_REGIONS.has(region) ? 'imperial' : 'metric';
+}
@@ -0,0 +1,40 @@
+/**
+ * Library entry point: decoding, segmentation and encoding without the browser UI.
+ */
+export {
+  decodeFitFile,
+  formatDuration,
+  formatDistance,
+  formatSpeed,
+  formatSportSpeed,
+  getSpeedDisplay,
+  UNIT_SYSTEMS,
+  SPORT_TYPES,
+  TRANSITION_SUB_SPORTS,
+  getSportTypes,
+  getSubSportTypes,
+  normalizeSubSport,
+} from './fit-parser.js';
+export { encodeFitFile, encodeSegmentFiles, summarizeSegments } from './fit-encoder.js';
+export { validateFitFile } from './fit-validate.js';
+export { encodeGpxFile, encodeTcxFile } from './xml-export.js';
+export { createZip } from './zip.js';
+export { serializeProject, parseProject } from './project.js';
+export { segmentActivity, encodeBatch } from './batch.js';
+export { mergeParsedFiles, getSourceSegments } from './fit-merge.js';
+export {
+  PRESETS,
+  buildSegmentsFromCuts,
+  segmentByPreset,
+  detectSegments,
+  findRecordIndexAtElapsed,
+  parseElapsed,
+  findRecordAtPosition,
+  setSegmentStart,
+  setSegmentEnd,
+  splitSegment,
+  insertTransition,
+  presetFromSegments,
+  parsePresets,
+  serializePresets,
+} from './segmentation.js';
@@ -0,0 +1,237 @@
+/**
+ * English UI texts. Keys missing here fall back to Spanish.
+ */
+export const messages = {
+  'app.title': 'FIT Sport Editor - Garmin Multisport',
+  'app.subtitle': 'Split your activity into segments and give each one the right sport',
+  'app.language': 'Language',
+  'app.units': 'Units',
+  'units.metric': 'Metric (km)',
+  'units.imperial': 'Imperial (mi)',
+
+  // Upload
+  'upload.drop': 'Drop your <strong>.FIT</strong> file here',
+  'upload.dropHint': 'or click to choose (several files are merged into one activity)',
+  'upload.batchMode': 'Batch mode: split each file on its own with the same preset',
+  'upload.onlyFit': 'Please choose .FIT files only',
+  'upload.decodeError': 'Could not decode the file: {error}',
+
+  // Autosaved session
+  'session.pending': 'You have an unfinished session: {files} (saved on {date}).',
+  'session.restore': 'Continue',
+  'session.discard': 'Discard',
+  'session.restoreError': 'Could not restore the session: {error}',
+
+  // Worker tasks
+  'task.decode': 'Decoding FIT file...',
+  'task.merge': 'Merging files...',
+  'task.segment': 'Detecting segments...',
+  'task.encode': 'Generating file...',
+  'task.validate': 'Checking the generated file...',
+  'task.cancel': 'Cancel',
+
+  // Summary
+  'summary.sport': 'Original sport',
+  'summary.duration': 'Duration',
+  'summary.distance': 'Distance',
+  'summary.avgHr': 'Avg HR',
+  'summary.avgPace': 'Avg pace',
+  'summary.avgSpeed': 'Avg speed',
+
+  // Merged files
+  'sources.title': 'Merged files',
+  'sources.gap': 'Gap',
+  'sources.gapsAsTransitions': 'Turn the gaps between files into transitions',
+  'sources.mergeError': 'Could not merge the files: {error}',
+
+  // Chart
+  'chart.title': 'Speed Chart',
+  'chart.help': 'Click to cut and drag the cuts to move them',
+  'chart.resetZoom': 'Show all',
+  'chart.xAxis': 'X axis',
+  'chart.xAxis.time': 'Time',
+  'chart.xAxis.distance': 'Distance',
+  'chart.axisTitle.time': 'Time (min)',
+  'chart.axisTitle.distance': 'Distance ({unit})',
+  'chart.shortcuts': 'Wheel: zoom · Drag: pan · Double click: show all · '
+    + '←/→: move the selected cut one record (Shift: 10 s) · Delete: remove it',
+  'chart.cut': 'Cut {n}',
+  'chart.noData': 'No data in this activity',
+  'chart.channel.speed': 'Speed',
+  'chart.channel.heartRate': 'HR',
+  'chart.channel.pace': 'Pace',
+  'chart.channel.altitude': 'Altitude',
+  'chart.channel.cadence': 'Cadence',
+  'chart.channel.power': 'Power',
+
+  // Track map
+  'map.title': 'Track',
+  'map.help': 'Click on the track to cut at the nearest point',
+  'map.tiles': 'Show background map (OpenStreetMap, needs a connection)',
+
+  // Presets
+  'presets.title': 'Quick presets',
+  'presets.auto': 'Automatic detection',
+  'presets.duathlon': 'Duathlon (Run - Bike - Run)',
+  'presets.triathlon': 'Triathlon (Swim - Bike - Run)',
+  'presets.aquathlon': 'Aquathlon (Swim - Run)',
+  'presets.save': 'Save segments as preset',
+  'presets.import': 'Import presets',
+  'presets.export': 'Export presets',
+  'presets.remove': 'Remove preset',
+  'presets.confirmRemove': 'Remove the preset "{name}"?',
+  'presets.namePrompt': 'Preset name:',
+  'presets.applyError': 'Could not apply the preset: {error}',
+  'presets.importError': 'Could not import the presets: {error}',
+
+  // Segments
+  'segments.title': 'Segments',
+  'segments.start': 'Start',
+  'segments.end': 'End',
+  'segments.duration': 'Duration',
+  'segments.distance': 'Distance',
+  'segments.speed': 'Pace / speed',
+  'segments.speedHint': 'Average pace for running and swimming, average speed for other sports',
+  'segments.sport': 'Sport',
+  'segments.subSport': 'Sub-sport',
+  'segments.confidence': 'Confidence',
+  'segments.confidenceHint': 'Confidence of the automatic detection',
+  'segments.discard': 'Discard',
+  'segments.discardHint': 'Leave out of the exported file',
+  'segments.removeCut': 'Remove cut',
+  'segments.positionHint': 'Type a clock time (10:25:30), a time from the start (+25:30) or a distance (12.5 km)',
+  'segments.invalidPosition': '"{value}" is not within the activity. '
+    + 'Type a clock time (10:25:30), a time from the start (+25:30) or a distance (12.5 km).',
+  'segments.boundaryOutOfRange':
+    'That point would leave a segment empty: choose one between the neighbouring segments.',
+  'segments.split': 'Split this segment',
+  'segments.splitPrompt': 'Split at (clock time, +time or distance; empty to split in half):',
+  'segments.splitOutside': 'That point is not within the segment.',
+  'segments.insertTransition': 'Insert a transition at the start',
+  'segments.transitionPrompt': 'Transition length in seconds:',
+  'segments.transitionNoFit': 'A transition of "{seconds}" seconds does not fit in this segment.',
+
+  // Actions
+  'actions.undo': 'Undo',
+  'actions.undoHint': 'Undo (Ctrl+Z)',
+  'actions.redo': 'Redo',
+  'actions.redoHint': 'Redo (Ctrl+Shift+Z)',
+  'actions.resetCuts': 'Reset cuts',
+  'actions.format': 'Download format',
+  'actions.formatZip': 'One FIT per segment (ZIP)',
+  'actions.download': 'Download modified file',
+  'actions.needSegments': 'You need at least 2 segments to modify the file.',
+  'actions.encodeError': 'Could not generate the file: {error}',
+  'actions.backToBatch': 'Back to batch',
+  'actions.saveProject': 'Save project',
+  'actions.openProject': 'Open project',
+  'actions.openProjectError': 'Could not open the project: {error}',
+  'actions.newFile': 'Load another file',
+
+  // Validation of the generated file
+  'validation.title': 'Check of the generated file',
+  'validation.cancel': 'Cancel',
+  'validation.download': 'Download',
+  'validation.downloadAnyway': 'Download anyway',
+  'validation.original': 'Original',
+  'validation.expected': 'Expected',
+  'validation.output': 'Generated',
+  'validation.ok': 'The generated file was read back without errors and matches what was expected.',
+  'validation.dropped': 'Message types of the original that are not included: {names}',
+  'validation.stat.records': 'Records',
+  'validation.stat.hrSamples': 'HR samples',
+  'validation.stat.powerSamples': 'Power samples',
+  'validation.stat.duration': 'Duration',
+  'validation.stat.distance': 'Distance',
+  'validation.stat.sessions': 'Sessions',
+  'validation.check.notFit': 'The generated file is not a valid FIT file.',
+  'validation.check.integrity': 'The integrity check (CRC) of the generated file failed.',
+  'validation.check.readError': 'Error reading the generated file: {error}',
+  'validation.check.missingRecords': '{count} records are missing from the generated file.',
+  'validation.check.missingRecordsAtCuts':
+    '{count} records are missing from the generated file ({atCuts} next to the segment boundaries).',
+  'validation.check.extraRecords': 'The generated file has {count} records that should not be there.',
+  'validation.check.recordOrder': 'The records of the generated file are out of chronological order or repeated.',
+  'validation.check.sessionCount': 'The generated file has {count} sessions and should have {expected}.',
+  'validation.check.sessionSport': 'Session {session} is {sport} and should be {expected}.',
+  'validation.check.sessionOverlap': 'Sessions {first} and {second} overlap in time.',
+  'validation.check.noLaps': 'The generated file has no laps.',
+  'validation.check.noActivity': 'The generated file has no activity message.',
+  'validation.check.activitySessions': 'The activity declares {declared} sessions, but the file has {count}.',
+  'validation.check.statMismatch': '{stat}: the generated file does not match what was expected.',
+
+  // Batch
+  'batch.title': 'Activity batch',
+  'batch.preset': 'Preset',
+  'batch.file': 'File',
+  'batch.segments': 'Proposed segments',
+  'batch.confidence': 'Confidence',
+  'batch.confidenceHint': 'Lowest confidence of its segments',
+  'batch.download': 'Download all (ZIP)',
+  'batch.close': 'Load other files',
+  'batch.review': 'Review',
+  'batch.remove': 'Remove from batch',
+  'batch.encodeError': 'Could not generate the files: {error}',
+  'batch.confirmResegment': 'You already reviewed {names}. Split them with the new preset too? '
+    + 'Your corrections will be lost; Cancel keeps them as they are.',
+
+  // Names of the downloaded files (without extension)
+  'files.modified': 'modified_activity',
+  'files.project': '{name}_project',
+  'files.batch': 'activities_{format}',
+  'files.segment': 'activity',
+
+  // Errors of the library and the worker (see errors.js)
+  'errors.notFit': 'The file is not a valid FIT file.',
+  'errors.emptyActivity': 'The file has no records.',
+  'errors.noRecords': 'None of the files has any records.',
+  'errors.filesOverlap': 'The files "{first}" and "{second}" overlap in time.',
+  'errors.allDiscarded': 'Every segment is discarded: there is nothing left to export.',
+  'errors.projectNotJson': 'The project file is not valid JSON.',
+  'errors.notProject': 'The file is not a FIT Sport Editor project.',
+  'errors.projectVersion': 'Unsupported project version: {version}',
+  'errors.projectSport': 'Unknown sport in segment {segment}: "{sport}"',
+  'errors.projectStart': 'Invalid start in segment {segment}: "{start}"',
+  'errors.projectOutside': 'The project is not for this activity: segment {segment} starts outside it.',
+  'errors.projectOrder': 'The segments of the project are out of order or overlap.',
+  'errors.unknownPreset': 'Unknown preset: {preset}',
+  'errors.presetsNotJson': 'The presets file is not valid JSON.',
+  'errors.presetsNotList': 'The file does not contain a list of presets.',
+  'errors.presetNoName': 'Preset {preset} has no name.',
+  'errors.presetNoSports': 'The preset "{label}" has no sports.',
+  'errors.presetSport': 'Unknown sport in the preset "{label}": "{sport}"',
+  'errors.presetRatio': 'Invalid ratio in the preset "{label}": "{ratio}"',
+  'errors.batchItem': '{name}: {error}',
+  'errors.activityNotLoaded': 'The activity is no longer loaded.',
+  'errors.cancelled': 'Operation cancelled.',
+  'errors.workerFailed': 'The worker could not be run.',
+};
+
+/**
+ * Sport names that differ from their FIT profile name ("standUpPaddleboarding" is
+ * already shown as "Stand up paddleboarding")
+ */
+export const sportLabels = {
+  eBiking: 'E-biking',
+  hiit: 'HIIT',
+};
+
+export const subSportLabels = {
+  indoorRunning: 'Indoor',
+  virtualActivity: 'Virtual',
+  spin: 'Spin',
+  indoorCycling: 'Indoor / trainer',
+  trackCycling: 'Track',
+  gravelCycling: 'Gravel',
+  handCycling: 'Handcycling',
+  bmx: 'BMX',
+  eBikeMountain: 'Mountain',
+  lapSwimming: 'Pool',
+  swimToBikeTransition: 'T1 swim-bike',
+  bikeToRunTransition: 'T2 bike-run',
+  runToBikeTransition: 'T1 run-bike',
+  indoorWalking: 'Indoor',
+  indoorRowing: 'Indoor rowing',
+  amrap: 'AMRAP',
+  emom: 'EMOM',
+};
@@ -0,0 +1,208 @@
+/**
+ * Spanish UI texts, the reference every other language falls back to.
+ * Sport and sub-sport names come from fit-parser.js, which already labels them in Spanish.
+ */
+export const messages = {
+  'app.title': 'FIT Sport Editor - Garmin Multideporte',
+  'app.subtitle': 'Divide tu actividad en segmentos y asigna el tipo de deporte correcto',
+  'app.language': 'Idioma',
+  'app.units': 'Unidades',
+  'units.metric': 'Métrico (km)',
+  'units.imperial': 'Imperial (mi)',
+
+  // Upload
+  'upload.drop': 'Arrastra tu archivo <strong>.FIT</strong> aquí',
+  'upload.dropHint': 'o haz clic para seleccionar (varios archivos se unen en una sola actividad)',
+  'upload.batchMode': 'Modo lote: dividir cada archivo por separado con el mismo preset',
+  'upload.onlyFit': 'Por favor selecciona solo archivos .FIT',
+  'upload.decodeError': 'Error al decodificar el archivo: {error}',
+
+  // Autosaved session
+  'session.pending': 'Tienes una sesión sin terminar: {files} (guardada el {date}).',
+  'session.restore': 'Continuar',
+  'session.discard': 'Descartar',
+  'session.restoreError': 'Error al restaurar la sesión: {error}',
+
+  // Worker tasks
+  'task.decode': 'Decodificando archivo FIT...',
+  'task.merge': 'Uniendo archivos...',
+  'task.segment': 'Detectando segmentos...',
+  'task.encode': 'Generando archivo...',
+  'task.validate': 'Comprobando el archivo generado...',
+  'task.cancel': 'Cancelar',
+
+  // Summary
+  'summary.sport': 'Deporte original',
+  'summary.duration': 'Duración',
+  'summary.distance': 'Distancia',
+  'summary.avgHr': 'FC Media',
+  'summary.avgPace': 'Ritmo medio',
+  'summary.avgSpeed': 'Velocidad media',
+
+  // Merged files
+  'sources.title': 'Archivos unidos',
+  'sources.gap': 'Hueco',
+  'sources.gapsAsTransitions': 'Convertir los huecos entre archivos en transiciones',
+  'sources.mergeError': 'Error al unir los archivos: {error}',
+
+  // Chart
+  'chart.title': 'Gráfica de Velocidad',
+  'chart.help': 'Haz clic para cortar y arrastra los cortes para moverlos',
+  'chart.resetZoom': 'Ver todo',
+  'chart.xAxis': 'Eje X',
+  'chart.xAxis.time': 'Tiempo',
+  'chart.xAxis.distance': 'Distancia',
+  'chart.axisTitle.time': 'Tiempo (min)',
+  'chart.axisTitle.distance': 'Distancia ({unit})',
+  'chart.shortcuts': 'Rueda: zoom · Arrastrar: desplazar · Doble clic: ver todo · '
+    + '←/→: mover el corte seleccionado un registro (Mayús: 10 s) · Supr: eliminarlo',
+  'chart.cut': 'Corte {n}',
+  'chart.noData': 'Sin datos en esta actividad',
+  'chart.channel.speed': 'Velocidad',
+  'chart.channel.heartRate': 'FC',
+  'chart.channel.pace': 'Ritmo',
+  'chart.channel.altitude': 'Altitud',
+  'chart.channel.cadence': 'Cadencia',
+  'chart.channel.power': 'Potencia',
+
+  // Track map
+  'map.title': 'Recorrido',
+  'map.help': 'Haz clic en el recorrido para cortar en el punto más cercano',
+  'map.tiles': 'Mostrar mapa de fondo (OpenStreetMap, requiere conexión)',
+
+  // Presets
+  'presets.title': 'Presets rápidos',
+  'presets.auto': 'Detección automática',
+  'presets.duathlon': 'Duatlón (Carrera - Bici - Carrera)',
+  'presets.triathlon': 'Triatlón (Natación - Bici - Carrera)',
+  'presets.aquathlon': 'Acuatlón (Natación - Carrera)',
+  'presets.save': 'Guardar segmentos como preset',
+  'presets.import': 'Importar presets',
+  'presets.export': 'Exportar presets',
+  'presets.remove': 'Eliminar preset',
+  'presets.confirmRemove': '¿Eliminar el preset "{name}"?',
+  'presets.namePrompt': 'Nombre del preset:',
+  'presets.applyError': 'Error al aplicar el preset: {error}',
+  'presets.importError': 'Error al importar los presets: {error}',
+
+  // Segments
+  'segments.title': 'Segmentos',
+  'segments.start': 'Inicio',
+  'segments.end': 'Fin',
+  'segments.duration': 'Duración',
+  'segments.distance': 'Distancia',
+  'segments.speed': 'Ritmo / velocidad',
+  'segments.speedHint': 'Ritmo medio en carrera y natación, velocidad media en el resto de deportes',
+  'segments.sport': 'Deporte',
+  'segments.subSport': 'Subtipo',
+  'segments.confidence': 'Confianza',
+  'segments.confidenceHint': 'Confianza de la detección automática',
+  'segments.discard': 'Descartar',
+  'segments.discardHint': 'Dejar fuera del archivo exportado',
+  'segments.removeCut': 'Eliminar corte',
+  'segments.positionHint': 'Escribe una hora (10:25:30), un tiempo desde el inicio (+25:30) o una distancia (12,5 km)',
+  'segments.invalidPosition': 'No se encuentra "{value}" en la actividad. '
+    + 'Escribe una hora (10:25:30), un tiempo desde el inicio (+25:30) o una distancia (12,5 km).',
+  'segments.boundaryOutOfRange': 'Ese punto dejaría un segmento vacío: elige uno entre los segmentos vecinos.',
+  'segments.split': 'Dividir este segmento',
+  'segments.splitPrompt': 'Dividir en (hora, +tiempo o distancia; vacío para dividir por la mitad):',
+  'segments.splitOutside': 'Ese punto no está dentro del segmento.',
+  'segments.insertTransition': 'Insertar una transición al inicio',
+  'segments.transitionPrompt': 'Duración de la transición en segundos:',
+  'segments.transitionNoFit': 'No cabe una transición de "{seconds}" segundos en este segmento.',
+
+  // Actions
+  'actions.undo': 'Deshacer',
+  'actions.undoHint': 'Deshacer (Ctrl+Z)',
+  'actions.redo': 'Rehacer',
+  'actions.redoHint': 'Rehacer (Ctrl+Shift+Z)',
+  'actions.resetCuts': 'Reiniciar cortes',
+  'actions.format': 'Formato de descarga',
+  'actions.formatZip': 'Un FIT por segmento (ZIP)',
+  'actions.download': 'Descargar archivo modificado',
+  'actions.needSegments': 'Necesitas al menos 2 segmentos para modificar el archivo.',
+  'actions.encodeError': 'Error al generar el archivo: {error}',
+  'actions.backToBatch': 'Volver al lote',
+  'actions.saveProject': 'Guardar proyecto',
+  'actions.openProject': 'Abrir proyecto',
+  'actions.openProjectError': 'Error al abrir el proyecto: {error}',
+  'actions.newFile': 'Cargar otro archivo',
+
+  // Validation of the generated file
+  'validation.title': 'Comprobación del archivo generado',
+  'validation.cancel': 'Cancelar',
+  'validation.download': 'Descargar',
+  'validation.downloadAnyway': 'Descargar de todas formas',
+  'validation.original': 'Original',
+  'validation.expected': 'Esperado',
+  'validation.output': 'Generado',
+  'validation.ok': 'El archivo generado se ha leído de nuevo sin errores y coincide con lo esperado.',
+  'validation.dropped': 'Tipos de mensaje del original que no se incluyen: {names}',
+  'validation.stat.records': 'Registros',
+  'validation.stat.hrSamples': 'Muestras de FC',
+  'validation.stat.powerSamples': 'Muestras de potencia',
+  'validation.stat.duration': 'Duración',
+  'validation.stat.distance': 'Distancia',
+  'validation.stat.sessions': 'Sesiones',
+  'validation.check.notFit': 'El archivo generado no es un fichero FIT válido.',
+  'validation.check.integrity': 'La comprobación de integridad (CRC) del archivo generado ha fallado.',
+  'validation.check.readError': 'Error al leer el archivo generado: {error}',
+  'validation.check.missingRecords': 'Faltan {count} registros en el archivo generado.',
+  'validation.check.missingRecordsAtCuts':
+    'Faltan {count} registros en el archivo generado ({atCuts} junto a los límites de los segmentos).',
+  'validation.check.extraRecords': 'El archivo generado tiene {count} registros que no deberían estar.',
+  'validation.check.recordOrder': 'Los registros del archivo generado no están en orden cronológico o se repiten.',
+  'validation.check.sessionCount': 'El archivo generado tiene {count} sesiones y debería tener {expected}.',
+  'validation.check.sessionSport': 'La sesión {session} es de {sport} y debería ser de {expected}.',
+  'validation.check.sessionOverlap': 'Las sesiones {first} y {second} se solapan en el tiempo.',
+  'validation.check.noLaps': 'El archivo generado no tiene vueltas.',
+  'validation.check.noActivity': 'El archivo generado no tiene mensaje de actividad.',
+  'validation.check.activitySessions': 'La actividad indica {declared} sesiones, pero el archivo tiene {count}.',
+  'validation.check.statMismatch': '{stat}: el archivo generado no coincide con lo esperado.',
+
+  // Batch
+  'batch.title': 'Lote de actividades',
+  'batch.preset': 'Preset',
+  'batch.file': 'Archivo',
+  'batch.segments': 'Segmentos propuestos',
+  'batch.confidence': 'Confianza',
+  'batch.confidenceHint': 'Confianza más baja de sus segmentos',
+  'batch.download': 'Descargar todas (ZIP)',
+  'batch.close': 'Cargar otros archivos',
+  'batch.review': 'Revisar',
+  'batch.remove': 'Quitar del lote',
+  'batch.encodeError': 'Error al generar los archivos: {error}',
+  'batch.confirmResegment': 'Ya has revisado {names}. ¿Dividirlos también con el nuevo preset? '
+    + 'Se perderán tus correcciones; con Cancelar se quedan como están.',
+
+  // Names of the downloaded files (without extension)
+  'files.modified': 'actividad_modificada',
+  'files.project': '{name}_proyecto',
+  'files.batch': 'actividades_{format}',
+  'files.segment': 'actividad',
+
+  // Errors of the library and the worker (see errors.js)
+  'errors.notFit': 'El archivo no es un fichero FIT válido.',
+  'errors.emptyActivity': 'El archivo no contiene registros.',
+  'errors.noRecords': 'Ninguno de los archivos contiene registros.',
+  'errors.filesOverlap': 'Los archivos "{first}" y "{second}" se solapan en el tiempo.',
+  'errors.allDiscarded': 'Todos los segmentos están descartados: no queda nada que exportar.',
+  'errors.projectNotJson': 'El archivo de proyecto no es un JSON válido.',
+  'errors.notProject': 'El archivo no es un proyecto de FIT Sport Editor.',
+  'errors.projectVersion': 'Versión de proyecto no soportada: {version}',
+  'errors.projectSport': 'Deporte desconocido en el segmento {segment}: "{sport}"',
+  'errors.projectStart': 'Inicio no válido en el segmento {segment}: "{start}"',
+  'errors.projectOutside': 'El proyecto no corresponde a esta actividad: el segmento {segment} empieza fuera de ella.',
+  'errors.projectOrder': 'Los segmentos del proyecto no están en orden o se solapan.',
+  'errors.unknownPreset': 'Preset desconocido: {preset}',
+  'errors.presetsNotJson': 'El archivo de presets no es un JSON válido.',
+  'errors.presetsNotList': 'El archivo no contiene una lista de presets.',
+  'errors.presetNoName': 'El preset {preset} no tiene nombre.',
+  'errors.presetNoSports': 'El preset "{label}" no tiene deportes.',
+  'errors.presetSport': 'Deporte desconocido en el preset "{label}": "{sport}"',
+  'errors.presetRatio': 'Proporción no válida en el preset "{label}": "{ratio}"',
+  'errors.batchItem': '{name}: {error}',
+  'errors.activityNotLoaded': 'La actividad ya no está cargada.',
+  'errors.cancelled': 'Operación cancelada.',
+  'errors.workerFailed': 'No se pudo ejecutar el worker.',
+};
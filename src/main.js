@@ -1,11 +1,83 @@
 import './styles.css';
-import { decodeFitFile, formatDuration, formatDistance, formatSpeed, SPORT_TYPES } from './fit-parser.js';
-import { createSpeedChart, setCutMarkers, clearCutMarkers, destroyChart } from './chart.js';
-import { encodeFitFile } from './fit-encoder.js';
+import { formatDuration, normalizeSubSport, getSpeedDisplay, UNIT_SYSTEMS } from './fit-parser.js';
+import {
+  CHART_CHANNELS,
+  getChannelName,
+  createSpeedChart,
+  setCutMarkers,
+  addCutMarker,
+  resetChartZoom,
+  setChartChannelVisible,
+  isChartChannelVisible,
+  setChartXAxis,
+  refreshChartDisplay,
+  destroyChart,
+} from './chart.js';
+import {
+  createTrackMap,
+  setMapSegments,
+  highlightMapRecord,
+  setMapTiles,
+  destroyTrackMap,
+} from './track-map.js';
+import {
+  PRESETS,
+  buildSegmentsFromCuts,
+  findRecordAtPosition,
+  setSegmentStart,
+  setSegmentEnd,
+  splitSegment,
+  insertTransition,
+  presetFromSegments,
+  parsePresets,
+  serializePresets,
+} from './segmentation.js';
+import { loadUserPresets, saveUserPresets } from './preset-store.js';
+import { getSourceSegments } from './fit-merge.js';
+import { resetHistory, recordHistory, undo, redo, canUndo, canRedo } from './edit-history.js';
+import { serializeProject, parseProject } from './project.js';
+import { createError } from './errors.js';
+import { saveSessionFiles, saveSessionSegments, loadSession, clearSession } from './session-store.js';
+import {
+  loadActivity,
+  mergeActivity,
+  segmentLoadedActivity,
+  encodeActivity,
+  encodeActivityBatch,
+  releaseActivities,
+  cancelWorkerTasks,
+  isCancelledError,
+} from './fit-worker-client.js';
+import {
+  LOCALES,
+  t,
+  getLocale,
+  setLocale,
+  getUnitSystem,
+  setUnitSystem,
+  onDisplayChange,
+  getSportOptions,
+  getSubSportOptions,
+  getSportLabel,
+  formatNumber,
+  formatPercent,
+  formatLocalDistance,
+  formatLocalSpeed,
+  formatTime,
+  formatDateTime,
+  translatePage,
+} from './i18n.js';
 
 // ===== State =====
-let parsedData = null;
-let currentSegments = []; // Array of { startRecordIndex, endRecordIndex, sport }
+let sourceFiles = []; // Array of { name, data }, one per loaded file
+let activityId = null; // Id of the activity in the worker
+let parsedData = null; // What the editor shows of it: records, sessions, summary...
+let currentSegments = []; // Array of { startRecordIndex, endRecordIndex, sport, subSport, discard }
+let userPresets = loadUserPresets(); // Array of { label, sports }, saved in this browser
+let savedSession = null; // Autosaved session offered for restoring
+let batchItems = []; // Array of { name, data, id, parsedData, segments, error, reviewed } in batch mode
+let batchReviewIndex = null; // Batch item open in the editor
+let pendingDownload = null; // { data, type, fileName, reports } waiting for the validation report to be accepted
 
 // ===== DOM Elements =====
 const dropZone = document.getElementById('drop-zone');
@@ -13,16 +85,58 @@ const fileInput = document.getElementById('file-input');
 const uploadSection = document.getElementById('upload-section');
 const editorSection = document.getElementById('editor-section');
 const loadingEl = document.getElementById('loading');
+const loadingText = document.getElementById('loading-text');
+const loadingProgress = document.getElementById('loading-progress');
+const btnCancelTask = document.getElementById('btn-cancel-task');
 const segmentsBody = document.getElementById('segments-body');
 const btnDownload = document.getElementById('btn-download');
+const downloadFormatSelect = document.getElementById('download-format');
+const validationPanel = document.getElementById('validation-panel');
+const validationReports = document.getElementById('validation-reports');
+const btnValidationDownload = document.getElementById('btn-validation-download');
+const btnValidationCancel = document.getElementById('btn-validation-cancel');
 const btnReset = document.getElementById('btn-reset');
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
 const btnNewFile = document.getElementById('btn-new-file');
+const btnSaveProject = document.getElementById('btn-save-project');
+const btnOpenProject = document.getElementById('btn-open-project');
+const projectFileInput = document.getElementById('project-file-input');
+const restoreBanner = document.getElementById('restore-banner');
+const restoreText = document.getElementById('restore-text');
+const btnRestoreSession = document.getElementById('btn-restore-session');
+const btnDiscardSession = document.getElementById('btn-discard-session');
+const batchModeInput = document.getElementById('batch-mode');
+const batchSection = document.getElementById('batch-section');
+const batchPresetSelect = document.getElementById('batch-preset');
+const batchBody = document.getElementById('batch-body');
+const batchFormatSelect = document.getElementById('batch-format');
+const btnBatchDownload = document.getElementById('btn-batch-download');
+const btnBatchClose = document.getElementById('btn-batch-close');
+const btnBackToBatch = document.getElementById('btn-back-to-batch');
+const sourcesPanel = document.getElementById('sources-panel');
+const sourcesList = document.getElementById('sources-list');
+const gapsAsTransitionsInput = document.getElementById('gaps-as-transitions');
+const btnResetZoom = document.getElementById('btn-reset-zoom');
+const chartChannels = document.getElementById('chart-channels');
+const chartXAxisSelect = document.getElementById('chart-x-axis');
+const mapPanel = document.getElementById('map-panel');
+const mapTilesInput = document.getElementById('map-tiles');
+const presetButtons = document.getElementById('preset-buttons');
+const btnSavePreset = document.getElementById('btn-save-preset');
+const btnImportPresets = document.getElementById('btn-import-presets');
+const btnExportPresets = document.getElementById('btn-export-presets');
+const presetsFileInput = document.getElementById('presets-file-input');
+const languageSelect = document.getElementById('language-select');
+const unitSelect = document.getElementById('unit-select');
 
 // Summary elements
 const summarySport = document.getElementById('summary-sport');
 const summaryDuration = document.getElementById('summary-duration');
 const summaryDistance = document.getElementById('summary-distance');
 const summaryHr = document.getElementById('summary-hr');
+const summarySpeedLabel = document.getElementById('summary-speed-label');
+const summarySpeed = document.getElementById('summary-speed');
 
 // ===== File Upload =====
 dropZone.addEventListener('click', () => fileInput.click());
@@ -39,119 +153,234 @@ dropZone.addEventListener('dragleave', () => {
 dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  const file = e.dataTransfer.files[0];
-  if (file) handleFile(file);
+  if (e.dataTransfer.files.length > 0) handleFiles(e.dataTransfer.files);
 });
 
 fileInput.addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (file) handleFile(file);
+  if (e.target.files.length > 0) handleFiles(e.target.files);
 });
 
-async function handleFile(file) {
-  if (!file.name.toLowerCase().endsWith('.fit')) {
-    alert('Por favor selecciona un archivo .FIT');
+async function handleFiles(fileList) {
+  const files = [...fileList];
+  if (files.some((file) => !file.name.toLowerCase().endsWith('.fit'))) {
+    alert(t('upload.onlyFit'));
     return;
   }
 
-  showLoading(true);
+  if (batchModeInput.checked && files.length > 1) {
+    await loadBatch(files);
+    return;
+  }
 
   try {
-    const arrayBuffer = await file.arrayBuffer();
-    parsedData = decodeFitFile(arrayBuffer);
+    const fileData = await Promise.all(files.map(async (file) => ({ name: file.name, data: await file.arrayBuffer() })));
+    const loaded = await runWorkerTask('decode', (onProgress) => loadActivity(fileData, {
+      gapsAsTransitions: gapsAsTransitionsInput.checked,
+      onProgress,
+    }));
+    if (!loaded) return;
+
+    sourceFiles = fileData;
+    activityId = loaded.id;
+    parsedData = loaded.data;
+    loadSourceFiles();
 
-    showSummary(parsedData.summary);
+    showEditor(true);
+  } catch (err) {
+    console.error('Error al decodificar el archivo FIT:', err);
+    alert(t('upload.decodeError', { error: describeError(err) }));
+  }
+}
 
-    // Create chart
-    createSpeedChart('speed-chart', parsedData.records, onCutMarkersChange);
+/**
+ * Load the activity decoded in the worker (parsedData, merged on the timeline if there
+ * are several files) into the editor
+ */
+function loadSourceFiles() {
+  showSummary(parsedData);
+  renderSources();
+
+  // Create chart; hovering it highlights the position on the map
+  const hasDistance = parsedData.records.some((r) => r.distance != null);
+  chartXAxisSelect.querySelector('option[value="distance"]').disabled = !hasDistance;
+  if (!hasDistance && chartXAxisSelect.value === 'distance') {
+    chartXAxisSelect.value = 'time';
+    setChartXAxis('time');
+  }
+  createSpeedChart('speed-chart', parsedData.records, onCutMarkersChange, highlightMapRecord, {
+    sport: parsedData.summary.sport,
+  });
+  renderChartChannels();
 
-    // Initialize with one full segment
-    resetSegments();
+  // Create map (only if the activity has GPS)
+  mapPanel.classList.remove('hidden');
+  const hasTrack = createTrackMap('track-map', parsedData.records, onMapRecordPick);
+  mapPanel.classList.toggle('hidden', !hasTrack);
 
-    showEditor(true);
+  // Initialize with one full segment (or one per merged file)
+  resetSegments();
+  resetHistory(currentSegments);
+  updateHistoryButtons();
+
+  // These files replace any session that was waiting to be restored
+  savedSession = null;
+  restoreBanner.classList.add('hidden');
+  autosave(() => saveSessionFiles(
+    sourceFiles.map(({ name, data }) => ({ name, data })),
+    { gapsAsTransitions: gapsAsTransitionsInput.checked }
+  ).then(() => saveSessionSegments(currentSegments)));
+}
+
+// ===== Merged files =====
+function renderSources() {
+  const sources = parsedData.sources ?? [];
+  sourcesPanel.classList.toggle('hidden', sources.length < 2);
+  sourcesList.innerHTML = '';
+
+  for (const source of sources) {
+    const first = parsedData.records[source.startRecordIndex];
+    const last = parsedData.records[source.endRecordIndex];
+    const li = document.createElement('li');
+    li.className = `source-item ${source.kind}`;
+    li.innerHTML = `
+      <span class="source-name">${source.kind === 'gap' ? t('sources.gap') : escapeHtml(source.name)}</span>
+      <span class="source-times">${formatTime(first.timestamp)} – ${formatTime(last.timestamp)}</span>
+    `;
+    sourcesList.appendChild(li);
+  }
+}
+
+gapsAsTransitionsInput.addEventListener('change', async () => {
+  if (sourceFiles.length < 2) return;
+  const gapsAsTransitions = gapsAsTransitionsInput.checked;
+  try {
+    const merged = await runWorkerTask('merge', (onProgress) => mergeActivity(activityId, {
+      gapsAsTransitions,
+      onProgress,
+    }));
+    if (!merged) {
+      gapsAsTransitionsInput.checked = !gapsAsTransitions;
+      return;
+    }
+
+    parsedData = merged;
+    loadSourceFiles();
   } catch (err) {
-    console.error('Error al decodificar el archivo FIT:', err);
-    alert('Error al decodificar el archivo: ' + err.message);
-  } finally {
-    showLoading(false);
+    console.error('Error al unir los archivos FIT:', err);
+    alert(t('sources.mergeError', { error: describeError(err) }));
   }
+});
+
+// ===== Chart =====
+/**
+ * One checkbox per chart channel; channels without data in this activity are disabled
+ */
+function renderChartChannels() {
+  const records = parsedData?.records ?? [];
+  chartChannels.innerHTML = CHART_CHANNELS.map((channel) => {
+    const hasData = records.some((r) => channel.value(r) != null);
+    return `
+      <label class="chart-channel" style="--channel-color: ${channel.color}"
+        ${hasData ? '' : `title="${escapeHtml(t('chart.noData'))}"`}>
+        <input type="checkbox" data-channel="${channel.key}"
+          ${isChartChannelVisible(channel.key) ? 'checked' : ''} ${hasData ? '' : 'disabled'}>
+        ${escapeHtml(getChannelName(channel))}
+      </label>
+    `;
+  }).join('');
 }
 
+chartChannels.addEventListener('change', (e) => {
+  setChartChannelVisible(e.target.dataset.channel, e.target.checked);
+});
+
+chartXAxisSelect.addEventListener('change', () => {
+  setChartXAxis(chartXAxisSelect.value);
+});
+
+btnResetZoom.addEventListener('click', () => resetChartZoom());
+
+// ===== Track Map =====
+function onMapRecordPick(recordIndex) {
+  if (!parsedData) return;
+  addCutMarker(recordIndex);
+}
+
+mapTilesInput.addEventListener('change', () => {
+  setMapTiles(mapTilesInput.checked);
+});
+
 // ===== UI Show/Hide =====
+// The progress overlay only appears for worker tasks that take longer than this
+const LOADING_DELAY_MS = 200;
+
 function showLoading(show) {
   loadingEl.classList.toggle('hidden', !show);
-  if (show) {
-    uploadSection.classList.add('hidden');
+}
+
+function updateLoadingProgress(phase, progress) {
+  loadingText.textContent = t(`task.${phase}`);
+  if (progress == null) {
+    loadingProgress.removeAttribute('value');
+  } else {
+    loadingProgress.value = progress;
+  }
+}
+
+/**
+ * Run a worker task behind the progress overlay, starting at the given phase.
+ * Resolves to null if it's cancelled.
+ */
+async function runWorkerTask(phase, task) {
+  updateLoadingProgress(phase, null);
+  const timer = setTimeout(() => showLoading(true), LOADING_DELAY_MS);
+  try {
+    return await task(updateLoadingProgress);
+  } catch (err) {
+    if (isCancelledError(err)) return null;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    showLoading(false);
   }
 }
 
+btnCancelTask.addEventListener('click', () => cancelWorkerTasks());
+
 function showEditor(show) {
   editorSection.classList.toggle('hidden', !show);
   uploadSection.classList.toggle('hidden', show);
   loadingEl.classList.add('hidden');
 }
 
+function showBatch(show) {
+  batchSection.classList.toggle('hidden', !show);
+  editorSection.classList.add('hidden');
+  uploadSection.classList.toggle('hidden', show);
+  loadingEl.classList.add('hidden');
+}
+
 // ===== Summary =====
-function showSummary(summary) {
-  const sportLabel = SPORT_TYPES.find((s) => s.value === summary.sport)?.label ?? summary.sport;
-  summarySport.textContent = sportLabel;
+function showSummary({ summary, sessions }) {
+  // Average over the time the watch was running, as the watch itself does
+  const movingTime = sessions.reduce((sum, s) => sum + s.totalTimerTime, 0) || summary.totalDurationSec;
+  const avgSpeed = movingTime > 0 ? summary.totalDistance / movingTime : null;
+
+  summarySport.textContent = getSportLabel(summary.sport);
   summaryDuration.textContent = formatDuration(summary.totalDurationSec);
-  summaryDistance.textContent = formatDistance(summary.totalDistance);
+  summaryDistance.textContent = formatLocalDistance(summary.totalDistance, summary.sport);
   summaryHr.textContent = summary.avgHeartRate ? `${summary.avgHeartRate} bpm` : '-';
+  summarySpeedLabel.textContent = t(getSpeedDisplay(summary.sport) === 'speed' ? 'summary.avgSpeed' : 'summary.avgPace');
+  summarySpeed.textContent = formatLocalSpeed(avgSpeed, summary.sport);
 }
 
 // ===== Segments =====
 function onCutMarkersChange(recordIndices) {
   if (!parsedData) return;
-  buildSegmentsFromCuts(recordIndices);
+  // Preserve sport selections of the existing segments
+  currentSegments = buildSegmentsFromCuts(parsedData.records, recordIndices, currentSegments);
   renderSegmentsTable();
-}
-
-function buildSegmentsFromCuts(cutRecordIndices) {
-  const records = parsedData.records;
-  const totalRecords = records.length;
-  const cuts = [0, ...cutRecordIndices, totalRecords - 1];
-
-  // Save old segments to try to preserve sport selections
-  const oldSegments = [...currentSegments];
-
-  currentSegments = [];
-  for (let i = 0; i < cuts.length - 1; i++) {
-    const startIdx = i === 0 ? cuts[i] : cuts[i];
-    const endIdx = i === cuts.length - 2 ? cuts[i + 1] : cuts[i + 1] - 1;
-
-    // Guess sport type based on average speed
-    const segRecords = records.slice(startIdx, endIdx + 1);
-    const avgSpeed = computeAvgSpeed(segRecords);
-    let guessedSport = 'running';
-    if (avgSpeed > 20) {
-      guessedSport = 'cycling';
-    } else if (avgSpeed < 3) {
-      guessedSport = 'transition';
-    }
-
-    // If we have old segments with user selections, try to preserve them
-    if (oldSegments.length > 0 && i < oldSegments.length) {
-      guessedSport = oldSegments[i].sport;
-    }
-
-    currentSegments.push({
-      startRecordIndex: startIdx,
-      endRecordIndex: endIdx,
-      sport: guessedSport,
-    });
-  }
-}
-
-function computeAvgSpeed(segRecords) {
-  let sum = 0, count = 0;
-  for (const r of segRecords) {
-    if (r.speed != null) {
-      sum += r.speed * 3.6; // km/h
-      count++;
-    }
-  }
-  return count > 0 ? sum / count : 0;
+  commitEdit();
 }
 
 function renderSegmentsTable() {
@@ -173,25 +402,48 @@ function renderSegmentsTable() {
 
     const startTimeStr = first?.timestamp ? formatTime(first.timestamp) : '-';
     const endTimeStr = last?.timestamp ? formatTime(last.timestamp) : '-';
+    // The activity's own start and end can't move
+    const startCell = idx > 0 ? renderBoundaryInput(idx, 'start', startTimeStr) : startTimeStr;
+    const endCell = idx < currentSegments.length - 1 ? renderBoundaryInput(idx, 'end', endTimeStr) : endTimeStr;
 
     const tr = document.createElement('tr');
+    tr.classList.toggle('discarded', Boolean(seg.discard));
     tr.innerHTML = `
       <td><strong>${idx + 1}</strong></td>
-      <td>${startTimeStr}</td>
-      <td>${endTimeStr}</td>
+      <td>${startCell}</td>
+      <td>${endCell}</td>
       <td>${formatDuration(duration)}</td>
-      <td>${formatDistance(distance)}</td>
+      <td>${formatLocalDistance(distance, seg.sport)}</td>
+      <td>${formatLocalSpeed(duration > 0 ? distance / duration : null, seg.sport)}</td>
       <td>
-        <select data-segment="${idx}">
-          ${SPORT_TYPES.map(
+        <select class="select-sport" data-segment="${idx}">
+          ${getSportOptions().map(
             (s) =>
               `<option value="${s.value}" ${s.value === seg.sport ? 'selected' : ''}>${s.label}</option>`
           ).join('')}
         </select>
       </td>
       <td>
+        <select class="select-sub-sport" data-segment="${idx}">
+          ${getSubSportOptions(seg.sport).map(
+            (s) =>
+              `<option value="${s.value}" ${s.value === seg.subSport ? 'selected' : ''}>${s.label}</option>`
+          ).join('')}
+        </select>
+      </td>
+      <td>${formatConfidence(seg.confidence)}</td>
+      <td>
+        <input type="checkbox" class="check-discard" data-segment="${idx}"
+          title="${escapeHtml(t('segments.discardHint'))}" ${seg.discard ? 'checked' : ''}>
+      </td>
+      <td class="segment-actions">
+        <button class="btn-icon btn-split-segment" data-segment="${idx}"
+          title="${escapeHtml(t('segments.split'))}">✂</button>
+        <button class="btn-icon btn-insert-transition" data-segment="${idx}"
+          title="${escapeHtml(t('segments.insertTransition'))}">⇥</button>
         ${currentSegments.length > 1
-          ? `<button class="btn-icon btn-remove-segment" data-segment="${idx}" title="Eliminar corte">✕</button>`
+          ? `<button class="btn-icon btn-remove-segment" data-segment="${idx}"
+              title="${escapeHtml(t('segments.removeCut'))}">✕</button>`
           : ''
         }
       </td>
@@ -201,10 +453,32 @@ function renderSegmentsTable() {
   });
 
   // Bind sport change events
-  segmentsBody.querySelectorAll('select').forEach((sel) => {
+  segmentsBody.querySelectorAll('.select-sport').forEach((sel) => {
+    sel.addEventListener('change', (e) => {
+      const segIdx = parseInt(e.target.dataset.segment);
+      const seg = currentSegments[segIdx];
+      seg.sport = e.target.value;
+      seg.subSport = normalizeSubSport(seg.sport, seg.subSport);
+      // Sub-sport choices depend on the sport
+      renderSegmentsTable();
+      commitEdit();
+    });
+  });
+
+  segmentsBody.querySelectorAll('.select-sub-sport').forEach((sel) => {
     sel.addEventListener('change', (e) => {
       const segIdx = parseInt(e.target.dataset.segment);
-      currentSegments[segIdx].sport = e.target.value;
+      currentSegments[segIdx].subSport = e.target.value;
+      commitEdit();
+    });
+  });
+
+  segmentsBody.querySelectorAll('.check-discard').forEach((input) => {
+    input.addEventListener('change', (e) => {
+      const segIdx = parseInt(e.target.dataset.segment);
+      currentSegments[segIdx].discard = e.target.checked;
+      renderSegmentsTable();
+      commitEdit();
     });
   });
 
@@ -216,8 +490,22 @@ function renderSegmentsTable() {
     });
   });
 
-  // Enable/disable download button
-  btnDownload.disabled = currentSegments.length < 2;
+  segmentsBody.querySelectorAll('.input-boundary').forEach((input) => {
+    input.addEventListener('change', onBoundaryChange);
+  });
+
+  segmentsBody.querySelectorAll('.btn-split-segment').forEach((btn) => {
+    btn.addEventListener('click', (e) => splitSegmentAt(parseInt(e.target.dataset.segment)));
+  });
+
+  segmentsBody.querySelectorAll('.btn-insert-transition').forEach((btn) => {
+    btn.addEventListener('click', (e) => insertSegmentTransition(parseInt(e.target.dataset.segment)));
+  });
+
+  setMapSegments(currentSegments);
+
+  // Enable/disable download button: something must change and something must be kept
+  btnDownload.disabled = currentSegments.length < 2 || currentSegments.every((s) => s.discard);
 }
 
 function removeSegmentCut(segIdx) {
@@ -234,166 +522,496 @@ function removeSegmentCut(segIdx) {
 
   // Update chart markers
   const cutIndices = currentSegments.slice(1).map((s) => s.startRecordIndex);
-  setCutMarkers(cutIndices, parsedData.records);
+  setCutMarkers(cutIndices);
 
   renderSegmentsTable();
 }
 
-function resetSegments() {
-  clearCutMarkers();
-  currentSegments = [
-    {
-      startRecordIndex: 0,
-      endRecordIndex: parsedData.records.length - 1,
-      sport: parsedData.summary.sport || 'running',
-    },
-  ];
-  renderSegmentsTable();
+function renderBoundaryInput(idx, edge, value) {
+  return `<input type="text" class="input-boundary" data-segment="${idx}" data-edge="${edge}"
+    value="${escapeHtml(value)}" title="${escapeHtml(t('segments.positionHint'))}">`;
 }
 
-// ===== Presets =====
-document.querySelectorAll('.btn-preset').forEach((btn) => {
-  btn.addEventListener('click', (e) => {
-    const preset = e.target.dataset.preset;
-    applyPreset(preset);
+/**
+ * Record at a typed clock time, elapsed time or distance, alerting if it can't be read
+ */
+function readPosition(text, atOrBefore = false) {
+  const recordIndex = findRecordAtPosition(parsedData.records, text, {
+    distanceUnit: UNIT_SYSTEMS[getUnitSystem()].distance.unit,
+    atOrBefore,
   });
-});
+  if (recordIndex == null) alert(t('segments.invalidPosition', { value: text }));
+  return recordIndex;
+}
 
-function applyPreset(preset) {
-  if (!parsedData) return;
+function onBoundaryChange(e) {
+  const segIdx = parseInt(e.target.dataset.segment);
+  const isEnd = e.target.dataset.edge === 'end';
+  // Re-typing the shown end keeps it: ends are the last record at or before the position
+  const recordIndex = readPosition(e.target.value, isEnd);
+  if (recordIndex == null) {
+    renderSegmentsTable();
+    return;
+  }
 
-  const records = parsedData.records;
-  const totalRecords = records.length;
+  const segments = isEnd
+    ? setSegmentEnd(currentSegments, segIdx, recordIndex)
+    : setSegmentStart(currentSegments, segIdx, recordIndex);
+  if (!segments) {
+    alert(t('segments.boundaryOutOfRange'));
+    renderSegmentsTable();
+    return;
+  }
+  restoreSegments(segments);
+}
 
-  // Find approximate split points based on speed changes
-  const speedProfile = computeSpeedProfile(records);
-  const splits = findSpeedTransitions(speedProfile, preset === 'triathlon' ? 2 : 2);
+/**
+ * Split a segment at a typed position, or at its middle if none is given
+ */
+function splitSegmentAt(segIdx) {
+  const text = prompt(t('segments.splitPrompt'), '');
+  if (text == null) return;
+
+  let recordIndex = null;
+  if (text.trim()) {
+    recordIndex = readPosition(text);
+    if (recordIndex == null) return;
+  }
 
-  if (splits.length < 2) {
-    // Fallback: split evenly
-    const third = Math.floor(totalRecords / 3);
-    splits.length = 0;
-    splits.push(third, third * 2);
+  const segments = splitSegment(parsedData.records, currentSegments, segIdx, recordIndex);
+  if (!segments) {
+    alert(t('segments.splitOutside'));
+    return;
   }
+  restoreSegments(segments);
+}
 
-  const sportSequence = preset === 'triathlon'
-    ? ['swimming', 'cycling', 'running']
-    : ['running', 'cycling', 'running'];
+function insertSegmentTransition(segIdx) {
+  const text = prompt(t('segments.transitionPrompt'), '60');
+  if (text == null) return;
 
-  // Build segments
-  const cuts = [0, ...splits, totalRecords - 1];
-  currentSegments = [];
-  for (let i = 0; i < cuts.length - 1; i++) {
-    currentSegments.push({
-      startRecordIndex: i === 0 ? cuts[i] : cuts[i],
-      endRecordIndex: i === cuts.length - 2 ? cuts[i + 1] : cuts[i + 1] - 1,
-      sport: sportSequence[i] || 'generic',
-    });
+  const seconds = Number(text.trim().replace(',', '.'));
+  const segments = insertTransition(parsedData.records, currentSegments, segIdx, seconds);
+  if (!segments) {
+    alert(t('segments.transitionNoFit', { seconds: text.trim() }));
+    return;
+  }
+  restoreSegments(segments);
+}
+
+function resetSegments() {
+  if (parsedData.sources?.length > 1) {
+    currentSegments = getSourceSegments(parsedData);
+  } else {
+    const sport = parsedData.summary.sport || 'running';
+    currentSegments = [
+      {
+        startRecordIndex: 0,
+        endRecordIndex: parsedData.records.length - 1,
+        sport,
+        subSport: normalizeSubSport(sport, parsedData.summary.subSport),
+      },
+    ];
   }
 
-  // Update chart
-  setCutMarkers(splits, records);
-  renderSegmentsTable();
+  // Markers go through onCutMarkersChange, which renders the table and records the edit
+  setCutMarkers(currentSegments.slice(1).map((s) => s.startRecordIndex));
 }
 
+// ===== Undo/Redo =====
 /**
- * Compute smoothed speed profile for transition detection
+ * Record the current segments in the undo history after an edit
  */
-function computeSpeedProfile(records) {
-  const windowSize = Math.max(10, Math.floor(records.length / 100));
-  const profile = [];
-
-  for (let i = 0; i < records.length; i++) {
-    let sum = 0, count = 0;
-    const start = Math.max(0, i - windowSize);
-    const end = Math.min(records.length - 1, i + windowSize);
-
-    for (let j = start; j <= end; j++) {
-      if (records[j].speed != null) {
-        sum += records[j].speed * 3.6;
-        count++;
-      }
-    }
+function commitEdit() {
+  hideValidation();
+  recordHistory(currentSegments);
+  updateHistoryButtons();
+  autosave(() => saveSessionSegments(currentSegments));
+}
 
-    profile.push(count > 0 ? sum / count : 0);
-  }
+function restoreSegments(segments) {
+  if (!segments) return;
+  currentSegments = segments;
+  setCutMarkers(segments.slice(1).map((s) => s.startRecordIndex));
+}
 
-  return profile;
+function updateHistoryButtons() {
+  btnUndo.disabled = !canUndo();
+  btnRedo.disabled = !canRedo();
+}
+
+btnUndo.addEventListener('click', () => restoreSegments(undo()));
+btnRedo.addEventListener('click', () => restoreSegments(redo()));
+
+document.addEventListener('keydown', (e) => {
+  if (!parsedData || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+  // Leave text fields their own undo
+  if (e.target.matches('input[type="text"], input:not([type]), textarea')) return;
+
+  e.preventDefault();
+  restoreSegments(e.shiftKey ? redo() : undo());
+});
+
+// ===== Presets =====
+function renderPresetButtons() {
+  const builtIn = Object.entries(PRESETS).map(
+    ([name]) => `<button class="btn btn-preset" data-preset="${name}">${escapeHtml(t(`presets.${name}`))}</button>`
+  );
+  const saved = userPresets.map((preset, idx) => `
+    <span class="user-preset">
+      <button class="btn btn-preset" data-user-preset="${idx}" title="${escapeHtml(describePreset(preset))}">${escapeHtml(preset.label)}</button>
+      <button class="btn-icon btn-remove-preset" data-user-preset="${idx}"
+        title="${escapeHtml(t('presets.remove'))}">✕</button>
+    </span>
+  `);
+
+  presetButtons.innerHTML = [
+    ...builtIn,
+    ...saved,
+    `<button class="btn btn-preset" data-preset="auto">${escapeHtml(t('presets.auto'))}</button>`,
+  ].join('');
+  btnExportPresets.disabled = userPresets.length === 0;
+
+  renderBatchPresetOptions();
 }
 
 /**
- * Find speed transitions in profile (where speed changes significantly)
+ * Sport sequence of a preset, with the time ratios if it has them
  */
-function findSpeedTransitions(profile, numSplits) {
-  if (profile.length < 100) return [];
+function describePreset(preset) {
+  return preset.sports
+    .map((leg) => {
+      const label = getSportLabel(leg.sport);
+      return leg.ratio ? `${label} ${formatPercent(leg.ratio)}` : label;
+    })
+    .join(' - ');
+}
+
+presetButtons.addEventListener('click', (e) => {
+  const removeBtn = e.target.closest('.btn-remove-preset');
+  if (removeBtn) {
+    const preset = userPresets[parseInt(removeBtn.dataset.userPreset)];
+    if (!confirm(t('presets.confirmRemove', { name: preset.label }))) return;
+    userPresets = userPresets.filter((p) => p !== preset);
+    saveUserPresets(userPresets);
+    renderPresetButtons();
+    return;
+  }
+
+  const btn = e.target.closest('.btn-preset');
+  if (!btn) return;
+  applyPreset(btn.dataset.userPreset != null ? userPresets[parseInt(btn.dataset.userPreset)] : btn.dataset.preset);
+});
+
+async function applyPreset(preset) {
+  if (!parsedData) return;
 
-  // Calculate derivative of speed
-  const derivative = [];
-  const windowSize = Math.max(5, Math.floor(profile.length / 200));
+  try {
+    const result = await runWorkerTask('segment', (onProgress) => segmentLoadedActivity(activityId, preset, { onProgress }));
+    if (!result) return;
+    currentSegments = result.segments;
 
-  for (let i = 0; i < profile.length; i++) {
-    const prev = Math.max(0, i - windowSize);
-    const next = Math.min(profile.length - 1, i + windowSize);
-    derivative.push(Math.abs(profile[next] - profile[prev]));
+    // Update chart
+    setCutMarkers(result.cuts);
+    renderSegmentsTable();
+  } catch (err) {
+    console.error('Error al aplicar el preset:', err);
+    alert(t('presets.applyError', { error: describeError(err) }));
   }
+}
+
+btnSavePreset.addEventListener('click', () => {
+  if (!parsedData || currentSegments.every((s) => s.discard)) return;
 
-  // Find peaks in derivative (transition points)
-  const minGap = Math.floor(profile.length * 0.15); // Minimum gap between splits
-  const peaks = [];
-
-  // Smooth the derivative further
-  const smoothDeriv = [];
-  const sw = Math.max(5, Math.floor(profile.length / 50));
-  for (let i = 0; i < derivative.length; i++) {
-    let sum = 0;
-    const s = Math.max(0, i - sw);
-    const e = Math.min(derivative.length - 1, i + sw);
-    for (let j = s; j <= e; j++) sum += derivative[j];
-    smoothDeriv.push(sum / (e - s + 1));
+  const label = prompt(t('presets.namePrompt'), '')?.trim();
+  if (!label) return;
+
+  userPresets = [...userPresets, presetFromSegments(parsedData.records, currentSegments, label)];
+  saveUserPresets(userPresets);
+  renderPresetButtons();
+});
+
+btnImportPresets.addEventListener('click', () => presetsFileInput.click());
+
+presetsFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  presetsFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const imported = parsePresets(await file.text());
+    // Presets with the same name are replaced by the imported ones
+    const names = new Set(imported.map((p) => p.label));
+    userPresets = [...userPresets.filter((p) => !names.has(p.label)), ...imported];
+    saveUserPresets(userPresets);
+    renderPresetButtons();
+  } catch (err) {
+    console.error('Error al importar los presets:', err);
+    alert(t('presets.importError', { error: describeError(err) }));
   }
+});
 
-  // Find top N peaks
-  const candidates = smoothDeriv
-    .map((v, i) => ({ index: i, value: v }))
-    .filter((c) => c.index > minGap && c.index < profile.length - minGap)
-    .sort((a, b) => b.value - a.value);
-
-  for (const candidate of candidates) {
-    if (peaks.length >= numSplits) break;
-    const tooClose = peaks.some((p) => Math.abs(p - candidate.index) < minGap);
-    if (!tooClose) {
-      peaks.push(candidate.index);
-    }
+btnExportPresets.addEventListener('click', () => {
+  downloadBlob(serializePresets(userPresets), 'application/json', 'presets.json');
+});
+
+renderPresetButtons();
+
+// ===== Autosave =====
+/**
+ * Run a session store operation; the editor keeps working if it fails (private browsing, quota...)
+ */
+function autosave(operation) {
+  operation().catch((err) => console.warn('No se pudo guardar la sesión:', err));
+}
+
+async function offerSessionRestore() {
+  try {
+    savedSession = await loadSession();
+  } catch (err) {
+    console.warn('No se pudo leer la sesión guardada:', err);
+    return;
   }
+  if (!savedSession || parsedData) return;
 
-  return peaks.sort((a, b) => a - b);
+  renderRestoreText();
+  restoreBanner.classList.remove('hidden');
 }
 
+function renderRestoreText() {
+  if (!savedSession) return;
+  restoreText.textContent = t('session.pending', {
+    files: savedSession.files.map((f) => f.name).join(', '),
+    date: formatDateTime(savedSession.savedAt),
+  });
+}
+
+btnRestoreSession.addEventListener('click', () => {
+  if (savedSession) restoreSession(savedSession);
+});
+
+btnDiscardSession.addEventListener('click', () => {
+  restoreBanner.classList.add('hidden');
+  savedSession = null;
+  autosave(clearSession);
+});
+
+async function restoreSession(session) {
+  restoreBanner.classList.add('hidden');
+  savedSession = null;
+
+  try {
+    const loaded = await runWorkerTask('decode', (onProgress) => loadActivity(session.files, {
+      gapsAsTransitions: session.gapsAsTransitions,
+      onProgress,
+    }));
+    if (!loaded) {
+      savedSession = session;
+      restoreBanner.classList.remove('hidden');
+      return;
+    }
+
+    sourceFiles = session.files;
+    activityId = loaded.id;
+    parsedData = loaded.data;
+    gapsAsTransitionsInput.checked = session.gapsAsTransitions;
+    loadSourceFiles();
+
+    // Segments saved for these same records
+    const lastIndex = parsedData.records.length - 1;
+    if (session.segments?.length && session.segments[session.segments.length - 1].endRecordIndex === lastIndex) {
+      restoreSegments(session.segments);
+      resetHistory(currentSegments);
+      updateHistoryButtons();
+    }
+
+    showEditor(true);
+  } catch (err) {
+    console.error('Error al restaurar la sesión:', err);
+    alert(t('session.restoreError', { error: describeError(err) }));
+    autosave(clearSession);
+    showEditor(false);
+  }
+}
+
+offerSessionRestore();
+
+// ===== Project =====
+btnSaveProject.addEventListener('click', () => {
+  if (!parsedData) return;
+
+  const names = sourceFiles.map((f) => f.name);
+  const baseName = names[0].replace(/\.fit$/i, '');
+  const fileName = `${t('files.project', { name: baseName })}.json`;
+  downloadBlob(serializeProject(parsedData, currentSegments, names), 'application/json', fileName);
+});
+
+btnOpenProject.addEventListener('click', () => projectFileInput.click());
+
+projectFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  projectFileInput.value = '';
+  if (!file || !parsedData) return;
+
+  try {
+    restoreSegments(parseProject(await file.text(), parsedData.records));
+  } catch (err) {
+    console.error('Error al abrir el proyecto:', err);
+    alert(t('actions.openProjectError', { error: describeError(err) }));
+  }
+});
+
 // ===== Download =====
-btnDownload.addEventListener('click', () => {
+const DOWNLOAD_TYPES = {
+  fit: 'application/octet-stream',
+  tcx: 'application/vnd.garmin.tcx+xml',
+  gpx: 'application/gpx+xml',
+  zip: 'application/zip', // One FIT per segment
+};
+
+btnDownload.addEventListener('click', async () => {
   if (!parsedData || currentSegments.length < 2) {
-    alert('Necesitas al menos 2 segmentos para modificar el archivo.');
+    alert(t('actions.needSegments'));
     return;
   }
 
+  const format = downloadFormatSelect.value;
+  const type = DOWNLOAD_TYPES[format];
+
   try {
-    const encoded = encodeFitFile(parsedData, currentSegments);
-
-    const blob = new Blob([encoded], { type: 'application/octet-stream' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'actividad_modificada.fit';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const encoded = await runWorkerTask('encode', (onProgress) => encodeActivity(
+      activityId,
+      currentSegments,
+      format,
+      { sportTypes: getSportOptions(), fileName: t('files.segment'), onProgress }
+    ));
+    if (!encoded) return;
+
+    // FIT outputs come with the validation reports of the files they contain
+    const { data, reports } = encoded;
+    const fileName = `${t('files.modified')}.${format}`;
+
+    if (reports.length === 0) {
+      hideValidation();
+      downloadBlob(data, type, fileName);
+      return;
+    }
+
+    pendingDownload = { data, type, fileName, reports };
+    showValidation(reports, btnDownload.closest('.actions'));
   } catch (err) {
     console.error('Error al codificar el archivo FIT:', err);
-    alert('Error al generar el archivo: ' + err.message);
+    alert(t('actions.encodeError', { error: describeError(err) }));
   }
 });
 
+downloadFormatSelect.addEventListener('change', hideValidation);
+
+btnValidationDownload.addEventListener('click', () => {
+  if (!pendingDownload) return;
+  const { data, type, fileName } = pendingDownload;
+  downloadBlob(data, type, fileName);
+  hideValidation();
+});
+
+btnValidationCancel.addEventListener('click', hideValidation);
+
+// ===== Validation Report =====
+const STAT_FORMATTERS = {
+  count: (value) => formatNumber(value),
+  duration: (value) => formatDuration(value),
+  distance: (value) => formatLocalDistance(value),
+};
+
+/**
+ * Show the reports of the generated files below the actions that generated them,
+ * holding the download until it's accepted
+ */
+function showValidation(reports, actions) {
+  renderValidation(reports);
+  actions.after(validationPanel);
+  validationPanel.classList.remove('hidden');
+  validationPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function renderValidation(reports) {
+  const hasErrors = reports.some(({ report }) => !report.ok);
+
+  validationReports.innerHTML = reports.map(({ title, report }) => `
+    ${title ? `<h4>${escapeHtml(title)}</h4>` : ''}
+    ${renderValidationStats(report.stats)}
+    ${renderValidationChecks(report)}
+  `).join('');
+
+  validationPanel.classList.toggle('has-errors', hasErrors);
+  btnValidationDownload.textContent = t(hasErrors ? 'validation.downloadAnyway' : 'validation.download');
+  btnValidationDownload.classList.toggle('btn-danger', hasErrors);
+  btnValidationDownload.classList.toggle('btn-primary', !hasErrors);
+}
+
+function hideValidation() {
+  pendingDownload = null;
+  validationPanel.classList.add('hidden');
+  validationReports.innerHTML = '';
+}
+
+function renderValidationStats(stats) {
+  if (stats.length === 0) return '';
+
+  const rows = stats.map((stat) => {
+    const format = STAT_FORMATTERS[stat.type];
+    return `
+      <tr class="${stat.ok ? '' : 'mismatch'}">
+        <td>${escapeHtml(t(`validation.stat.${stat.key}`))}</td>
+        <td>${format(stat.original)}</td>
+        <td>${format(stat.expected)}</td>
+        <td>${format(stat.output)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <table class="validation-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>${escapeHtml(t('validation.original'))}</th>
+          <th>${escapeHtml(t('validation.expected'))}</th>
+          <th>${escapeHtml(t('validation.output'))}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderValidationChecks({ checks, droppedMessages }) {
+  const items = checks.map((check) => `<li class="${check.level}">${escapeHtml(describeCheck(check))}</li>`);
+
+  if (droppedMessages.length > 0) {
+    const names = droppedMessages.map(({ name, count }) => `${name} (${count})`).join(', ');
+    items.push(`<li>${escapeHtml(t('validation.dropped', { names }))}</li>`);
+  }
+  if (checks.length === 0) {
+    items.unshift(`<li class="ok">${escapeHtml(t('validation.ok'))}</li>`);
+  }
+
+  return `<ul class="validation-checks">${items.join('')}</ul>`;
+}
+
+/**
+ * A check of validateFitFile() in the UI language
+ */
+function describeCheck({ code, params }) {
+  const values = { ...params };
+  if (code === 'statMismatch') values.stat = t(`validation.stat.${params.stat}`);
+  if (code === 'sessionSport') {
+    values.sport = getSportLabel(params.sport);
+    values.expected = getSportLabel(params.expected);
+  }
+  return t(`validation.check.${code}`, values);
+}
+
 // ===== Reset =====
 btnReset.addEventListener('click', () => {
   resetSegments();
@@ -401,20 +1019,318 @@ btnReset.addEventListener('click', () => {
 
 // ===== New File =====
 btnNewFile.addEventListener('click', () => {
+  closeEditor();
+  closeBatch();
+  autosave(clearSession);
+  fileInput.value = '';
+  showEditor(false);
+  uploadSection.classList.remove('hidden');
+});
+
+function closeEditor() {
+  hideValidation();
   destroyChart();
+  destroyTrackMap();
+  // A batch file under review stays loaded for the batch
+  if (activityId != null && batchReviewIndex == null) releaseActivities([activityId]);
+  sourceFiles = [];
+  activityId = null;
   parsedData = null;
   currentSegments = [];
+  resetHistory([]);
+}
+
+// ===== Batch =====
+/**
+ * Decode every file on its own and split it with the selected preset
+ */
+async function loadBatch(files) {
+  const items = [];
+  const loaded = await runWorkerTask('decode', async (onProgress) => {
+    for (const [i, file] of files.entries()) {
+      const item = {
+        name: file.name, data: null, id: null, parsedData: null, segments: [], error: null, reviewed: false,
+      };
+      items.push(item);
+      try {
+        item.data = await file.arrayBuffer();
+        const { id, data } = await loadActivity([{ name: file.name, data: item.data }], {
+          onProgress: (phase, progress) => onProgress(phase, (i + (progress ?? 0)) / files.length),
+        });
+        item.id = id;
+        item.parsedData = data;
+      } catch (err) {
+        if (isCancelledError(err)) throw err;
+        console.error(`Error al decodificar ${file.name}:`, err);
+        item.error = err;
+      }
+    }
+    return items;
+  });
+
+  if (!loaded) {
+    releaseActivities(items.map((item) => item.id).filter((id) => id != null));
+    return;
+  }
+
+  batchItems = loaded.sort((a, b) => getBatchStart(a) - getBatchStart(b));
+  await segmentBatch();
+  showBatch(true);
+}
+
+function getBatchStart(item) {
+  return item.parsedData?.records[0]?.timestamp.getTime() ?? Infinity;
+}
+
+/**
+ * Split the batch files with the selected preset; keepReviewed leaves the ones
+ * corrected in the editor as they are
+ */
+async function segmentBatch({ keepReviewed = false } = {}) {
+  hideValidation();
+  const preset = getBatchPreset();
+  const items = batchItems.filter((item) => item.parsedData && !(keepReviewed && item.reviewed));
+
+  await runWorkerTask('segment', async (onProgress) => {
+    for (const [i, item] of items.entries()) {
+      onProgress('segment', i / items.length);
+      try {
+        if (item.parsedData.records.length === 0) {
+          throw createError('emptyActivity', {}, 'El archivo no contiene registros.');
+        }
+        item.segments = (await segmentLoadedActivity(item.id, preset)).segments;
+        item.error = null;
+        item.reviewed = false;
+      } catch (err) {
+        if (isCancelledError(err)) throw err;
+        item.segments = [];
+        item.error = err;
+      }
+    }
+  });
+  renderBatchTable();
+}
+
+function renderBatchPresetOptions() {
+  const selected = batchPresetSelect.value;
+  batchPresetSelect.innerHTML = [
+    ...Object.keys(PRESETS).map((name) => `<option value="${name}">${escapeHtml(t(`presets.${name}`))}</option>`),
+    ...userPresets.map((preset, idx) => `<option value="user:${idx}">${escapeHtml(preset.label)}</option>`),
+    `<option value="auto">${escapeHtml(t('presets.auto'))}</option>`,
+  ].join('');
+  if ([...batchPresetSelect.options].some((o) => o.value === selected)) {
+    batchPresetSelect.value = selected;
+  }
+}
+
+function getBatchPreset() {
+  const value = batchPresetSelect.value;
+  return value.startsWith('user:') ? userPresets[parseInt(value.slice(5))] : value;
+}
+
+function renderBatchTable() {
+  batchBody.innerHTML = '';
+
+  batchItems.forEach((item, idx) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('discarded', Boolean(item.error));
+
+    const records = item.parsedData?.records ?? [];
+    const badges = item.segments.map((seg) => {
+      const label = getSportLabel(seg.sport);
+      const duration = (records[seg.endRecordIndex].timestamp - records[seg.startRecordIndex].timestamp) / 1000;
+      return `<span class="sport-badge ${seg.sport}${seg.discard ? ' discarded' : ''}">${escapeHtml(label)} ${formatDuration(duration)}</span>`;
+    });
+    const confidences = item.segments.map((s) => s.confidence).filter((c) => c != null);
+
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(item.name)}</strong></td>
+      <td class="batch-segments">${item.error ? `<span class="batch-error">${escapeHtml(describeError(item.error))}</span>` : badges.join(' ')}</td>
+      <td>${confidences.length > 0 ? formatConfidence(Math.min(...confidences)) : '-'}</td>
+      <td class="batch-row-actions">
+        ${item.parsedData && records.length > 0
+          ? `<button class="btn btn-ghost btn-small btn-review" data-batch="${idx}">${escapeHtml(t('batch.review'))}</button>`
+          : ''
+        }
+        <button class="btn-icon btn-remove-batch" data-batch="${idx}" title="${escapeHtml(t('batch.remove'))}">✕</button>
+      </td>
+    `;
+    batchBody.appendChild(tr);
+  });
+
+  btnBatchDownload.disabled = !batchItems.some((item) => !item.error);
+}
+
+batchPresetSelect.addEventListener('change', () => {
+  const names = batchItems.filter((item) => item.reviewed).map((item) => item.name);
+  const keepReviewed = names.length > 0 && !confirm(t('batch.confirmResegment', { names: names.join(', ') }));
+  segmentBatch({ keepReviewed });
+});
+
+batchBody.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-batch]');
+  if (!btn) return;
+  const idx = parseInt(btn.dataset.batch);
+
+  hideValidation();
+  if (btn.classList.contains('btn-review')) {
+    reviewBatchItem(idx);
+  } else {
+    const [removed] = batchItems.splice(idx, 1);
+    if (removed.id != null) releaseActivities([removed.id]);
+    if (batchItems.length === 0) {
+      closeBatch();
+      showBatch(false);
+      return;
+    }
+    renderBatchTable();
+  }
+});
+
+/**
+ * Open a batch file in the editor to correct its segments
+ */
+function reviewBatchItem(idx) {
+  const item = batchItems[idx];
+  batchReviewIndex = idx;
+
+  sourceFiles = [{ name: item.name, data: item.data }];
+  activityId = item.id;
+  parsedData = item.parsedData;
+  loadSourceFiles();
+  restoreSegments(item.segments);
+  resetHistory(currentSegments);
+  updateHistoryButtons();
+
+  btnBackToBatch.classList.remove('hidden');
+  batchSection.classList.add('hidden');
+  showEditor(true);
+}
+
+btnBackToBatch.addEventListener('click', () => {
+  const item = batchItems[batchReviewIndex];
+  item.segments = currentSegments.map((segment) => ({ ...segment }));
+  item.error = null;
+  item.reviewed = true;
+
+  closeEditor();
+  autosave(clearSession);
+  batchReviewIndex = null;
+  btnBackToBatch.classList.add('hidden');
+  renderBatchTable();
+  showBatch(true);
+});
+
+btnBatchDownload.addEventListener('click', async () => {
+  const format = batchFormatSelect.value;
+  const items = batchItems
+    .filter((item) => !item.error)
+    .map(({ id, name, segments }) => ({ id, name, segments }));
+
+  try {
+    const encoded = await runWorkerTask('encode', (onProgress) => encodeActivityBatch(items, format, {
+      sportTypes: getSportOptions(),
+      onProgress,
+    }));
+    if (!encoded) return;
+
+    // Only the files that failed their validation hold the download
+    const { data, reports } = encoded;
+    const type = DOWNLOAD_TYPES.zip;
+    const fileName = `${t('files.batch', { format })}.zip`;
+    const failed = reports.filter(({ report }) => !report.ok);
+
+    if (failed.length === 0) {
+      hideValidation();
+      downloadBlob(data, type, fileName);
+      return;
+    }
+
+    pendingDownload = { data, type, fileName, reports: failed };
+    showValidation(failed, btnBatchDownload.closest('.actions'));
+  } catch (err) {
+    console.error('Error al codificar el lote:', err);
+    alert(t('batch.encodeError', { error: describeError(err) }));
+  }
+});
+
+batchFormatSelect.addEventListener('change', hideValidation);
+
+btnBatchClose.addEventListener('click', () => {
+  closeBatch();
   fileInput.value = '';
-  showEditor(false);
-  uploadSection.classList.remove('hidden');
+  showBatch(false);
+});
+
+function closeBatch() {
+  hideValidation();
+  releaseActivities(batchItems.map((item) => item.id).filter((id) => id != null));
+  batchItems = [];
+  batchReviewIndex = null;
+  btnBackToBatch.classList.add('hidden');
+}
+
+// ===== Language and units =====
+languageSelect.innerHTML = Object.entries(LOCALES)
+  .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+  .join('');
+languageSelect.value = getLocale();
+languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+
+unitSelect.value = getUnitSystem();
+unitSelect.addEventListener('change', () => setUnitSystem(unitSelect.value));
+
+// Word and measure everything on screen again in the new language or units
+onDisplayChange(() => {
+  translatePage();
+  renderPresetButtons();
+  renderRestoreText();
+  if (parsedData) {
+    showSummary(parsedData);
+    renderSources();
+    renderChartChannels();
+    renderSegmentsTable();
+    refreshChartDisplay();
+  }
+  if (batchItems.length > 0) renderBatchTable();
+  if (pendingDownload) renderValidation(pendingDownload.reports);
 });
 
+translatePage();
+
 // ===== Helpers =====
-function formatTime(date) {
-  if (!(date instanceof Date)) return '-';
-  return date.toLocaleTimeString('es-ES', {
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-  });
+function downloadBlob(data, type, fileName) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Message of an error in the UI language. Library errors carry a code and params
+ * (see errors.js); anything else keeps its own message.
+ */
+function describeError(err) {
+  if (!err?.code) return err?.message ?? String(err);
+
+  const values = { ...err.params };
+  if (values.error) values.error = describeError(values.error);
+  return t(`errors.${err.code}`, values);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function formatConfidence(confidence) {
+  if (confidence == null) return '-';
+  const level = confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+  return `<span class="confidence ${level}">${formatPercent(confidence)}</span>`;
 }
@@ -0,0 +1,25 @@
+import { parsePresets, serializePresets } from './segmentation.js';
+
+const STORAGE_KEY = 'fit-sport-editor:presets';
+
+/**
+ * User-defined presets saved in this browser (empty if there are none or they can't be read)
+ *
+ * @returns {Array} Array of { label, sports }
+ */
+export function loadUserPresets() {
+  try {
+    const json = localStorage.getItem(STORAGE_KEY);
+    return json ? parsePresets(json) : [];
+  } catch (err) {
+    console.warn('No se pudieron leer los presets guardados:', err);
+    return [];
+  }
+}
+
+/**
+ * Replace the presets saved in this browser
+ */
+export function saveUserPresets(presets) {
+  localStorage.setItem(STORAGE_KEY, serializePresets(presets));
+}
@@ -0,0 +1,105 @@
+import { SPORT_TYPES, normalizeSubSport } from './fit-parser.js';
+import { createError } from './errors.js';
+
+const PROJECT_FORMAT = 'fit-sport-editor-project';
+const PROJECT_VERSION = 1;
+
+/**
+ * JSON project with the segments of an activity. Segments are referenced by the timestamp
+ * of their first record, so the project can be applied to the same activity on another
+ * computer (or after merging its files again) without sending the FIT file.
+ *
+ * @param {Object} parsedData - Data from decodeFitFile() or mergeParsedFiles()
+ * @param {Array} segments - Array of { startRecordIndex, endRecordIndex, sport, subSport, discard? }
+ * @param {Array<string>} [fileNames] - Names of the source files, for reference
+ * @returns {string} Project JSON
+ */
+export function serializeProject(parsedData, segments, fileNames = []) {
+  const { records } = parsedData;
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    files: fileNames,
+    activityStart: records[0].timestamp.toISOString(),
+    activityEnd: records[records.length - 1].timestamp.toISOString(),
+    segments: segments.map((segment) => ({
+      start: records[segment.startRecordIndex].timestamp.toISOString(),
+      sport: segment.sport,
+      subSport: segment.subSport ?? 'generic',
+      discard: Boolean(segment.discard),
+    })),
+  };
+  return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Segments of a project applied to the records of an activity: each segment after the first
+ * starts at the first record at or after its timestamp. Throws if the project is malformed
+ * or its cuts don't fall inside the activity.
+ *
+ * @param {string} json - Project JSON written by serializeProject()
+ * @param {Array} records - Records from decodeFitFile()
+ * @returns {Array} Array of { startRecordIndex, endRecordIndex, sport, subSport, discard }
+ */
+export function parseProject(json, records) {
+  let project;
+  try {
+    project = JSON.parse(json);
+  } catch {
+    throw createError('projectNotJson', {}, 'El archivo de proyecto no es un JSON válido.');
+  }
+
+  if (project?.format !== PROJECT_FORMAT || !Array.isArray(project.segments) || project.segments.length === 0) {
+    throw createError('notProject', {}, 'El archivo no es un proyecto de FIT Sport Editor.');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw createError(
+      'projectVersion',
+      { version: project.version },
+      `Versión de proyecto no soportada: ${project.version}`
+    );
+  }
+
+  const firstMs = records[0].timestamp.getTime();
+  const lastMs = records[records.length - 1].timestamp.getTime();
+
+  const starts = project.segments.map((segment, i) => {
+    if (!SPORT_TYPES.some((s) => s.value === segment?.sport)) {
+      throw createError(
+        'projectSport',
+        { segment: i + 1, sport: segment?.sport },
+        `Deporte desconocido en el segmento ${i + 1}: "${segment?.sport}"`
+      );
+    }
+    if (i === 0) return 0;
+
+    const ms = Date.parse(segment.start);
+    if (Number.isNaN(ms)) {
+      throw createError(
+        'projectStart',
+        { segment: i + 1, start: segment.start },
+        `Inicio no válido en el segmento ${i + 1}: "${segment.start}"`
+      );
+    }
+    if (ms <= firstMs || ms > lastMs) {
+      throw createError(
+        'projectOutside',
+        { segment: i + 1 },
+        `El proyecto no corresponde a esta actividad: el segmento ${i + 1} empieza fuera de ella.`
+      );
+    }
+    return records.findIndex((r) => r.timestamp.getTime() >= ms);
+  });
+
+  if (starts.some((start, i) => i > 0 && start <= starts[i - 1])) {
+    throw createError('projectOrder', {}, 'Los segmentos del proyecto no están en orden o se solapan.');
+  }
+
+  return project.segments.map((segment, i) => ({
+    startRecordIndex: starts[i],
+    endRecordIndex: i < starts.length - 1 ? starts[i + 1] - 1 : records.length - 1,
+    sport: segment.sport,
+    subSport: normalizeSubSport(segment.sport, segment.subSport),
+    discard: Boolean(segment.discard),
+  }));
+}
@@ -0,0 +1,827 @@
+/**
+ * DOM-free segmentation helpers shared by the editor UI and the CLI.
+ */
+
+import { SPORT_TYPES, UNIT_SYSTEMS, TRANSITION_SUB_SPORTS, normalizeSubSport } from './fit-parser.js';
+import { createError } from './errors.js';
+
+/**
+ * Built-in presets: the sport sequence of each leg.
+ * Legs may also give the expected share of the total time as `ratio`.
+ */
+export const PRESETS = {
+  duathlon: {
+    label: 'Duatlón (Carrera - Bici - Carrera)',
+    sports: [
+      { sport: 'running', subSport: 'generic' },
+      { sport: 'cycling', subSport: 'road' },
+      { sport: 'running', subSport: 'generic' },
+    ],
+  },
+  triathlon: {
+    label: 'Triatlón (Natación - Bici - Carrera)',
+    sports: [
+      { sport: 'swimming', subSport: 'openWater' },
+      { sport: 'cycling', subSport: 'road' },
+      { sport: 'running', subSport: 'generic' },
+    ],
+  },
+  aquathlon: {
+    label: 'Acuatlón (Natación - Carrera)',
+    sports: [
+      { sport: 'swimming', subSport: 'openWater' },
+      { sport: 'running', subSport: 'generic' },
+    ],
+  },
+};
+
+// Features are averaged over this window around each record
+const FEATURE_WINDOW_S = 30;
+// Per-record activity labels are smoothed by majority vote over this window
+const LABEL_WINDOW_S = 60;
+// Sport stretches shorter than this are absorbed by their neighbours
+const MIN_LEG_S = 180;
+// Stops shorter than this between two sports are too short to be a transition
+const MIN_TRANSITION_S = 15;
+// Stops at least this long outside a sport change are kept as walking
+const MIN_WALK_S = 600;
+// Below this speed the athlete is standing still (m/s)
+const STATIONARY_SPEED = 0.5;
+// Running speed range (m/s); slower moving is walking, faster without cadence is cycling
+const MIN_RUN_SPEED = 1.9;
+const MAX_RUN_SPEED = 6.5;
+// Meters covered per cadence cycle: a running stride covers ~1-3 m, a pedal stroke 4-9 m
+const MIN_CYCLING_METERS_PER_CYCLE = 3.6;
+// Swim stroke rates are well below running or pedalling cadence
+const MAX_SWIM_CADENCE = 45;
+const MAX_SWIM_SPEED = 2.5;
+// A record gap this long counts as a timer gap
+const TIMER_GAP_S = 30;
+// Boundaries move to a timer gap this close to them
+const SNAP_TO_GAP_S = 90;
+
+/**
+ * Segment sport of each per-record activity label
+ */
+const LABEL_SPORTS = {
+  swimming: 'swimming',
+  cycling: 'cycling',
+  running: 'running',
+  walking: 'transition',
+  stationary: 'transition',
+};
+
+/**
+ * Build segments from cut record indices.
+ * Sports are guessed from the records unless a previous segment at the same
+ * position already has a sport, which is kept along with its discard flag
+ * (and its detection confidence if its bounds didn't change).
+ *
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {Array<number>} cutRecordIndices - Sorted record indices where a new segment starts
+ * @param {Array} [previousSegments] - Segments whose sport selections should be preserved
+ * @returns {Array} Array of { startRecordIndex, endRecordIndex, sport, subSport, discard, confidence? }
+ */
+export function buildSegmentsFromCuts(records, cutRecordIndices, previousSegments = []) {
+  const totalRecords = records.length;
+  const cuts = [0, ...cutRecordIndices, totalRecords - 1];
+  // Labelling the whole activity is slow, and most edits keep every previous sport
+  let labels = null;
+
+  const segments = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const startIdx = cuts[i];
+    const endIdx = i === cuts.length - 2 ? cuts[i + 1] : cuts[i + 1] - 1;
+
+    // If we have old segments with user selections, preserve them;
+    // otherwise guess the sport from the most common activity label
+    const previous = previousSegments[i];
+    let sport;
+    if (previous) {
+      sport = previous.sport;
+    } else {
+      labels ??= labelRecords(records);
+      sport = guessSport(labels, startIdx, endIdx);
+    }
+
+    const segment = {
+      startRecordIndex: startIdx,
+      endRecordIndex: endIdx,
+      sport,
+      subSport: previous?.subSport ?? 'generic',
+      discard: previous?.discard ?? false,
+    };
+    // A detection confidence only holds while the segment keeps its bounds
+    if (previous?.confidence != null && previous.startRecordIndex === startIdx && previous.endRecordIndex === endIdx) {
+      segment.confidence = previous.confidence;
+    }
+    segments.push(segment);
+  }
+
+  return segments;
+}
+
+/**
+ * Detect the segments of an activity from speed, cadence, heart rate, GPS coverage,
+ * stationary periods and timer gaps. Any number of segments can come out, including
+ * transitions between two different sports, each with a sport guess and a confidence
+ * (0-1: share of the segment's records whose own label agrees with its sport).
+ *
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {Object} [options]
+ * @param {Array} [options.timerEvents] - Timer events from decodeFitFile()
+ * @returns {{ cuts: Array<number>, segments: Array }} Segments are
+ *   { startRecordIndex, endRecordIndex, sport, subSport, discard, confidence }
+ */
+export function detectSegments(records, { timerEvents = [] } = {}) {
+  if (records.length === 0) return { cuts: [], segments: [] };
+
+  const labels = labelRecords(records);
+
+  let runs = [];
+  smoothLabels(records, labels).forEach((label, i) => {
+    const sport = LABEL_SPORTS[label] ?? null;
+    const last = runs[runs.length - 1];
+    if (last && last.sport === sport) {
+      last.endRecordIndex = i;
+    } else {
+      runs.push({ startRecordIndex: i, endRecordIndex: i, sport });
+    }
+  });
+
+  runs = resolveUnknownRuns(runs);
+  runs = absorbShortRuns(records, runs);
+  runs = resolveStops(records, runs);
+  runs = snapToTimerGaps(records, runs, findTimerGaps(records, timerEvents));
+
+  const hasGps = records.some((r) => r.positionLat != null);
+  const segments = runs.map((run) => ({
+    startRecordIndex: run.startRecordIndex,
+    endRecordIndex: run.endRecordIndex,
+    sport: run.sport,
+    subSport: run.sport === 'swimming' ? (hasGps ? 'openWater' : 'lapSwimming') : 'generic',
+    discard: false,
+    confidence: computeConfidence(labels, run),
+  }));
+
+  return { cuts: segments.slice(1).map((s) => s.startRecordIndex), segments };
+}
+
+/**
+ * Split the records into the legs of a preset. The detected segments are matched to
+ * the preset's legs in order; transitions detected at a leg change are kept as their own
+ * segments unless the preset has its own transition legs. Falls back to splitting by the
+ * legs' expected time ratios (or evenly) if the detection can't fill every leg.
+ *
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {string|Object} preset - Key of PRESETS, or a preset { label, sports }
+ * @param {Object} [options] - Same options as detectSegments()
+ * @returns {{ cuts: Array<number>, segments: Array }}
+ */
+export function segmentByPreset(records, preset, options = {}) {
+  const { sports: legs } = (typeof preset === 'string' ? PRESETS[preset] : preset) ?? {};
+  if (!legs) {
+    throw createError('unknownPreset', { preset }, `Preset desconocido: ${preset}`);
+  }
+
+  const { segments: detected } = detectSegments(records, options);
+  const segments = alignToLegs(records, detected, legs) ?? splitByRatios(records, legs);
+
+  return { cuts: segments.slice(1).map((s) => s.startRecordIndex), segments };
+}
+
+/**
+ * A preset with the sports of the kept segments, in order, and their share of the time
+ *
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {Array} segments - Segments to copy
+ * @param {string} label - Name of the preset
+ * @returns {Object} Preset { label, sports: [{ sport, subSport, ratio }] }
+ */
+export function presetFromSegments(records, segments, label) {
+  const kept = segments.filter((s) => !s.discard);
+  const durations = kept.map((s) => runDuration(records, s) + 1);
+  const total = durations.reduce((sum, d) => sum + d, 0);
+
+  return {
+    label,
+    sports: kept.map((s, i) => ({
+      sport: s.sport,
+      subSport: s.subSport ?? 'generic',
+      ratio: Math.round((durations[i] / total) * 1000) / 1000,
+    })),
+  };
+}
+
+/**
+ * Read presets from JSON, either an array of presets or { presets: [...] } as written
+ * by serializePresets(). Throws if a preset is malformed or uses an unknown sport.
+ *
+ * @param {string} json
+ * @returns {Array} Array of { label, sports: [{ sport, subSport, ratio? }] }
+ */
+export function parsePresets(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw createError('presetsNotJson', {}, 'El archivo de presets no es un JSON válido.');
+  }
+
+  const presets = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(presets)) {
+    throw createError('presetsNotList', {}, 'El archivo no contiene una lista de presets.');
+  }
+
+  return presets.map((preset, i) => {
+    const label = typeof preset?.label === 'string' ? preset.label.trim() : '';
+    if (!label) {
+      throw createError('presetNoName', { preset: i + 1 }, `El preset ${i + 1} no tiene nombre.`);
+    }
+    if (!Array.isArray(preset.sports) || preset.sports.length === 0) {
+      throw createError('presetNoSports', { label }, `El preset "${label}" no tiene deportes.`);
+    }
+
+    return {
+      label,
+      sports: preset.sports.map((leg) => {
+        if (!SPORT_TYPES.some((s) => s.value === leg?.sport)) {
+          throw createError(
+            'presetSport',
+            { label, sport: leg?.sport },
+            `Deporte desconocido en el preset "${label}": "${leg?.sport}"`
+          );
+        }
+        if (leg.ratio != null && !(typeof leg.ratio === 'number' && leg.ratio > 0)) {
+          throw createError(
+            'presetRatio',
+            { label, ratio: leg.ratio },
+            `Proporción no válida en el preset "${label}": "${leg.ratio}"`
+          );
+        }
+        return {
+          sport: leg.sport,
+          subSport: normalizeSubSport(leg.sport, leg.subSport),
+          ...(leg.ratio != null ? { ratio: leg.ratio } : {}),
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * JSON for a list of presets, readable by parsePresets()
+ */
+export function serializePresets(presets) {
+  return JSON.stringify({ presets: presets.map(({ label, sports }) => ({ label, sports })) }, null, 2);
+}
+
+/**
+ * Seconds of an elapsed time written as seconds ("90", "90,5"), "m:ss" or "h:mm:ss"
+ *
+ * @returns {number|null} null if the text isn't an elapsed time
+ */
+export function parseElapsed(text) {
+  const parts = String(text).trim().split(':');
+  if (parts.length === 1) {
+    if (!/^\d+(?:[.,]\d+)?$/.test(parts[0])) return null;
+    return Number(parts[0].replace(',', '.'));
+  }
+  if (parts.length > 3 || parts.some((p) => !/^\d+$/.test(p))) return null;
+  const numbers = parts.map(Number);
+  if (numbers.slice(1).some((n) => n > 59)) return null;
+  return numbers.reduce((total, n) => total * 60 + n, 0);
+}
+
+/**
+ * Index of the first record at or after the given elapsed seconds from the start
+ */
+export function findRecordIndexAtElapsed(records, elapsedSec) {
+  const targetMs = records[0].timestamp.getTime() + elapsedSec * 1000;
+  const idx = records.findIndex((r) => r.timestamp.getTime() >= targetMs);
+  return idx === -1 ? records.length - 1 : idx;
+}
+
+/**
+ * Units a typed distance can be given in, as meters in one of them
+ */
+const DISTANCE_UNITS = Object.fromEntries(
+  Object.values(UNIT_SYSTEMS).flatMap(({ distance, swimDistance }) => [
+    [distance.unit, distance.meters],
+    [swimDistance.unit, swimDistance.meters],
+  ])
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record at a typed position of the activity:
+ * - clock time: "10:25", "10:25:30" or "10:25:30 PM" (the first time it's reached after the start)
+ * - elapsed time from the start (see parseElapsed()): "+25:30", "+1:02:03" or "+90" (seconds)
+ * - distance from the start: "12.5", "12,5 km", "800 m", "3 mi"; without a unit, in distanceUnit
+ *
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.distanceUnit='km'] - Unit of distances typed without one
+ * @param {boolean} [options.atOrBefore=false] - Take the last record at or before the position
+ *   instead of the first one at or after it (for segment ends)
+ * @returns {number|null} Record index, or null if the text can't be read or is outside the activity
+ */
+export function findRecordAtPosition(records, text, { distanceUnit = 'km', atOrBefore = false } = {}) {
+  if (records.length === 0) return null;
+  const value = String(text).trim().toLowerCase();
+
+  const elapsed = value.match(/^\+\s*(.+)$/);
+  if (elapsed) {
+    const seconds = parseElapsed(elapsed[1]);
+    if (seconds == null) return null;
+    return findRecordAtValue(records, (r) => r.timestamp.getTime(),
+      records[0].timestamp.getTime() + seconds * 1000, atOrBefore);
+  }
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*(?:m\.?)?$/);
+  if (clock) {
+    let hours = Number(clock[1]);
+    const minutes = Number(clock[2]);
+    const seconds = Number(clock[3] ?? 0);
+    if (clock[4]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (clock[4] === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+    const start = records[0].timestamp;
+    const target = new Date(start);
+    target.setHours(hours, minutes, seconds, 0);
+    // Activities that go past midnight
+    const targetMs = target < start ? target.getTime() + DAY_MS : target.getTime();
+    return findRecordAtValue(records, (r) => r.timestamp.getTime(), targetMs, atOrBefore);
+  }
+
+  const distance = value.match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)$/);
+  if (distance) {
+    const unitMeters = DISTANCE_UNITS[distance[2] || distanceUnit];
+    if (!unitMeters) return null;
+    const firstDistance = records.find((r) => r.distance != null)?.distance;
+    if (firstDistance == null) return null;
+    const meters = Number(distance[1].replace(',', '.')) * unitMeters;
+    return findRecordAtValue(records, (r) => r.distance, firstDistance + meters, atOrBefore);
+  }
+
+  return null;
+}
+
+/**
+ * Move the start of segment i (and the end of the one before) to a record.
+ *
+ * @returns {Array|null} New segments, or null if a segment would be left empty
+ */
+export function setSegmentStart(segments, i, recordIndex) {
+  if (i <= 0 || i >= segments.length) return null;
+  const previous = segments[i - 1];
+  const segment = segments[i];
+  if (recordIndex <= previous.startRecordIndex || recordIndex > segment.endRecordIndex) return null;
+
+  return segments.map((s, j) => {
+    if (j === i - 1) return withBounds(s, s.startRecordIndex, recordIndex - 1);
+    if (j === i) return withBounds(s, recordIndex, s.endRecordIndex);
+    return s;
+  });
+}
+
+/**
+ * Move the end of segment i (and the start of the one after) to a record.
+ *
+ * @returns {Array|null} New segments, or null if a segment would be left empty
+ */
+export function setSegmentEnd(segments, i, recordIndex) {
+  if (i < 0 || i >= segments.length - 1) return null;
+  return setSegmentStart(segments, i + 1, recordIndex + 1);
+}
+
+/**
+ * Split segment i in two at a record, which starts the second half, or at the middle
+ * of its time. Both halves keep the sport and discard flag.
+ *
+ * @returns {Array|null} New segments, or null if either half would be empty
+ */
+export function splitSegment(records, segments, i, recordIndex = null) {
+  const segment = segments[i];
+  if (!segment) return null;
+
+  let splitIdx = recordIndex;
+  if (splitIdx == null) {
+    const startMs = records[segment.startRecordIndex].timestamp.getTime();
+    const endMs = records[segment.endRecordIndex].timestamp.getTime();
+    splitIdx = findRecordAtValue(records, (r) => r.timestamp.getTime(), (startMs + endMs) / 2, false);
+  }
+  if (splitIdx == null || splitIdx <= segment.startRecordIndex || splitIdx > segment.endRecordIndex) return null;
+
+  return [
+    ...segments.slice(0, i),
+    withBounds(segment, segment.startRecordIndex, splitIdx - 1),
+    withBounds(segment, splitIdx, segment.endRecordIndex),
+    ...segments.slice(i + 1),
+  ];
+}
+
+/**
+ * Insert a transition of the given seconds at the start of segment i, which keeps
+ * the rest. Its sub-sport is guessed from the sports before and after it.
+ *
+ * @returns {Array|null} New segments, or null if the transition doesn't fit in the segment
+ */
+export function insertTransition(records, segments, i, durationSec) {
+  const segment = segments[i];
+  if (!segment || !(durationSec > 0)) return null;
+
+  const targetMs = records[segment.startRecordIndex].timestamp.getTime() + durationSec * 1000;
+  const endIdx = findRecordAtValue(records, (r) => r.timestamp.getTime(), targetMs, false);
+  if (endIdx == null || endIdx > segment.endRecordIndex) return null;
+
+  const split = splitSegment(records, segments, i, endIdx);
+  if (!split) return null;
+
+  const previousSport = segments[i - 1]?.sport;
+  split[i] = {
+    ...split[i],
+    sport: 'transition',
+    subSport: TRANSITION_SUB_SPORTS[`${previousSport}>${segment.sport}`] ?? 'generic',
+    discard: false,
+  };
+  return split;
+}
+
+/**
+ * Copy of a segment with new bounds; its detection confidence no longer holds
+ */
+function withBounds(segment, startRecordIndex, endRecordIndex) {
+  const { confidence, ...rest } = segment;
+  return { ...rest, startRecordIndex, endRecordIndex };
+}
+
+/**
+ * First record whose value is at or after target (or the last one at or before it),
+ * skipping records without a value; null if target is outside the activity
+ */
+function findRecordAtValue(records, getValue, target, atOrBefore) {
+  let found = null;
+  for (let i = 0; i < records.length; i++) {
+    const value = getValue(records[i]);
+    if (value == null) continue;
+    if (atOrBefore) {
+      if (value > target) break;
+      found = i;
+    } else if (value >= target) {
+      return i;
+    }
+  }
+  return found;
+}
+
+/**
+ * Activity label of each record (swimming, cycling, running, walking, stationary,
+ * or null without data), from the signals averaged around it
+ */
+function labelRecords(records) {
+  const hasGps = records.filter((r) => r.positionLat != null).length >= records.length * 0.2;
+  const hasHr = records.filter((r) => r.heartRate != null).length >= records.length * 0.2;
+
+  return computeFeatures(records).map((f) => classifyFeatures(f, hasGps, hasHr));
+}
+
+function classifyFeatures({ speed, cadence, gps, hr }, hasGps, hasHr) {
+  // Watches lose GPS and wrist HR under water
+  const gpsLost = hasGps && gps < 0.5;
+  const hrLost = hasHr && hr < 0.5;
+
+  if (speed == null) return gpsLost ? 'swimming' : null;
+  if ((gpsLost || hrLost) && speed < MAX_SWIM_SPEED) return 'swimming';
+  if (speed < STATIONARY_SPEED) return 'stationary';
+
+  if (cadence != null) {
+    if (cadence < MAX_SWIM_CADENCE && speed < MAX_SWIM_SPEED) return 'swimming';
+    if ((speed * 60) / cadence >= MIN_CYCLING_METERS_PER_CYCLE) return 'cycling';
+    return speed >= MIN_RUN_SPEED ? 'running' : 'walking';
+  }
+
+  if (speed >= MAX_RUN_SPEED) return 'cycling';
+  return speed >= MIN_RUN_SPEED ? 'running' : 'walking';
+}
+
+/**
+ * Average speed and cadence, and share of records with GPS and HR, in a time window
+ * around each record. Zero cadence (coasting) doesn't count towards the average.
+ */
+function computeFeatures(records) {
+  const halfWindowMs = (FEATURE_WINDOW_S / 2) * 1000;
+  const features = [];
+  const sums = { speed: 0, speedCount: 0, cadence: 0, cadenceCount: 0, gps: 0, hr: 0, count: 0 };
+
+  const update = (r, sign) => {
+    if (r.speed != null) {
+      sums.speed += sign * r.speed;
+      sums.speedCount += sign;
+    }
+    if (r.cadence) {
+      sums.cadence += sign * r.cadence;
+      sums.cadenceCount += sign;
+    }
+    if (r.positionLat != null) sums.gps += sign;
+    if (r.heartRate != null) sums.hr += sign;
+    sums.count += sign;
+  };
+
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < records.length; i++) {
+    const ms = records[i].timestamp.getTime();
+    while (hi < records.length && records[hi].timestamp.getTime() <= ms + halfWindowMs) update(records[hi++], 1);
+    while (records[lo].timestamp.getTime() < ms - halfWindowMs) update(records[lo++], -1);
+
+    features.push({
+      speed: sums.speedCount > 0 ? sums.speed / sums.speedCount : null,
+      cadence: sums.cadenceCount > 0 ? sums.cadence / sums.cadenceCount : null,
+      gps: sums.gps / sums.count,
+      hr: sums.hr / sums.count,
+    });
+  }
+
+  return features;
+}
+
+/**
+ * Most common label in a time window around each record
+ */
+function smoothLabels(records, labels) {
+  const halfWindowMs = (LABEL_WINDOW_S / 2) * 1000;
+  const counts = new Map();
+  const smoothed = [];
+  const update = (label, delta) => {
+    if (label != null) counts.set(label, (counts.get(label) ?? 0) + delta);
+  };
+
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < records.length; i++) {
+    const ms = records[i].timestamp.getTime();
+    while (hi < records.length && records[hi].timestamp.getTime() <= ms + halfWindowMs) update(labels[hi++], 1);
+    while (records[lo].timestamp.getTime() < ms - halfWindowMs) update(labels[lo++], -1);
+
+    let best = labels[i];
+    let bestCount = 0;
+    for (const [label, count] of counts) {
+      if (count > bestCount) {
+        best = label;
+        bestCount = count;
+      }
+    }
+    smoothed.push(best);
+  }
+
+  return smoothed;
+}
+
+/**
+ * Give runs without data the sport of the run before them (or after, at the start)
+ */
+function resolveUnknownRuns(runs) {
+  let previous = runs.find((r) => r.sport != null)?.sport ?? 'running';
+  return mergeAdjacentRuns(runs.map((run) => {
+    previous = run.sport ?? previous;
+    return { ...run, sport: previous };
+  }));
+}
+
+/**
+ * Merge sport runs shorter than MIN_LEG_S into the longest neighbouring sport run,
+ * shortest first, so brief misclassifications don't become segments
+ */
+function absorbShortRuns(records, runs) {
+  let result = runs;
+
+  for (;;) {
+    const shortest = result
+      .map((run, i) => ({ i, duration: runDuration(records, run) }))
+      .filter(({ i, duration }) => result[i].sport !== 'transition' && duration < MIN_LEG_S)
+      .sort((a, b) => a.duration - b.duration)[0];
+    if (!shortest || result.length === 1) return result;
+
+    const { i } = shortest;
+    const neighbours = [result[i - 1], result[i + 1]].filter((n) => n && n.sport !== 'transition');
+    if (neighbours.length === 0) {
+      // Surrounded by stops: it is part of them
+      result[i] = { ...result[i], sport: 'transition' };
+    } else {
+      const target = neighbours.reduce((a, b) => (runDuration(records, a) >= runDuration(records, b) ? a : b));
+      result[i] = { ...result[i], sport: target.sport };
+    }
+    result = mergeAdjacentRuns(result);
+  }
+}
+
+/**
+ * Stops between two different sports are transitions. Other stops (traffic lights,
+ * aid stations) belong to the sport around them, unless they are long enough to be a walk.
+ */
+function resolveStops(records, runs) {
+  return mergeAdjacentRuns(runs.map((run, i) => {
+    if (run.sport !== 'transition') return run;
+
+    const prev = runs[i - 1];
+    const next = runs[i + 1];
+    const duration = runDuration(records, run);
+    if (prev && next && prev.sport !== next.sport && duration >= MIN_TRANSITION_S) return run;
+    if (duration >= MIN_WALK_S) return { ...run, sport: 'walking' };
+    return { ...run, sport: (prev ?? next)?.sport ?? 'walking' };
+  }));
+}
+
+/**
+ * Record indices right after a timer pause or a gap in the recording
+ */
+function findTimerGaps(records, timerEvents) {
+  const gaps = new Set();
+  for (let i = 1; i < records.length; i++) {
+    if (records[i].timestamp - records[i - 1].timestamp >= TIMER_GAP_S * 1000) gaps.add(i);
+  }
+  for (const event of timerEvents) {
+    if (event.eventType !== 'start') continue;
+    const idx = records.findIndex((r) => r.timestamp >= event.timestamp);
+    if (idx > 0) gaps.add(idx);
+  }
+  return [...gaps].sort((a, b) => a - b);
+}
+
+/**
+ * Move each boundary to the closest timer gap within SNAP_TO_GAP_S, since athletes
+ * often stop or lap the watch exactly at a change of sport
+ */
+function snapToTimerGaps(records, runs, gapIndices) {
+  if (gapIndices.length === 0) return runs;
+
+  const result = runs.map((run) => ({ ...run }));
+  for (let i = 1; i < result.length; i++) {
+    const boundaryMs = records[result[i].startRecordIndex].timestamp.getTime();
+
+    let best = null;
+    for (const gap of gapIndices) {
+      const distanceMs = Math.abs(records[gap].timestamp.getTime() - boundaryMs);
+      if (distanceMs <= SNAP_TO_GAP_S * 1000 && (best == null || distanceMs < best.distanceMs)) {
+        best = { gap, distanceMs };
+      }
+    }
+    // Keep every run at least one record long
+    if (best && best.gap > result[i - 1].startRecordIndex && best.gap <= result[i].endRecordIndex) {
+      result[i - 1].endRecordIndex = best.gap - 1;
+      result[i].startRecordIndex = best.gap;
+    }
+  }
+
+  return result;
+}
+
+function mergeAdjacentRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (last && last.sport === run.sport) {
+      last.endRecordIndex = run.endRecordIndex;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+  return merged;
+}
+
+function runDuration(records, run) {
+  return (records[run.endRecordIndex].timestamp - records[run.startRecordIndex].timestamp) / 1000;
+}
+
+/**
+ * Share of the run's records whose own label agrees with the run's sport
+ * (records without data count as disagreeing)
+ */
+function computeConfidence(labels, run) {
+  let agree = 0;
+  for (let i = run.startRecordIndex; i <= run.endRecordIndex; i++) {
+    const sport = run.sport === 'walking' ? labels[i] : LABEL_SPORTS[labels[i]];
+    if (sport === run.sport) agree++;
+  }
+  return Math.round((agree / (run.endRecordIndex - run.startRecordIndex + 1)) * 100) / 100;
+}
+
+/**
+ * Most common sport among the labels of a range
+ */
+function guessSport(labels, startIdx, endIdx) {
+  const counts = new Map();
+  for (let i = startIdx; i <= endIdx; i++) {
+    const sport = LABEL_SPORTS[labels[i]];
+    if (sport) counts.set(sport, (counts.get(sport) ?? 0) + 1);
+  }
+
+  let best = 'running';
+  let bestCount = 0;
+  for (const [sport, count] of counts) {
+    if (count > bestCount) {
+      best = sport;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Assign the detected segments, in order, to the preset's legs so that the time whose
+ * detected sport matches its leg is maximal (every leg gets at least one segment).
+ * Transitions at the edge of a leg stay as their own segment, unless the preset has
+ * transition legs.
+ * Returns null if there are fewer detected segments than legs or a leg would only
+ * get a transition.
+ */
+function alignToLegs(records, detected, legs) {
+  const n = detected.length;
+  const k = legs.length;
+  if (n < k) return null;
+
+  const durations = detected.map((s) => runDuration(records, s) + 1);
+  const gain = (i, j) => (detected[i].sport === legs[j].sport ? durations[i] : 0);
+
+  // score[i][j]: best total with segment i in leg j; from[i][j]: leg of segment i - 1
+  const score = Array.from({ length: n }, () => new Array(k).fill(-Infinity));
+  const from = Array.from({ length: n }, () => new Array(k).fill(-1));
+  score[0][0] = gain(0, 0);
+  for (let i = 1; i < n; i++) {
+    for (let j = 0; j < k; j++) {
+      const stay = score[i - 1][j];
+      const advance = j > 0 ? score[i - 1][j - 1] : -Infinity;
+      if (stay === -Infinity && advance === -Infinity) continue;
+      from[i][j] = stay >= advance ? j : j - 1;
+      score[i][j] = Math.max(stay, advance) + gain(i, j);
+    }
+  }
+  if (score[n - 1][k - 1] === -Infinity) return null;
+
+  const legOf = new Array(n);
+  for (let i = n - 1, j = k - 1; i >= 0; i--) {
+    legOf[i] = j;
+    j = from[i][j];
+  }
+
+  const segments = [];
+  for (let j = 0; j < k; j++) {
+    const group = detected.filter((_, i) => legOf[i] === j);
+    // Presets with their own transition legs already account for them
+    const peel = !legs.some((leg) => leg.sport === 'transition');
+    const leading = peel && j > 0 && group[0].sport === 'transition' ? group.shift() : null;
+    const trailing = peel && j < k - 1 && group.length > 0 && group[group.length - 1].sport === 'transition'
+      ? group.pop()
+      : null;
+    if (group.length === 0) return null;
+
+    const groupDuration = group.reduce((sum, s) => sum + runDuration(records, s) + 1, 0);
+    const matchingConfidence = group
+      .filter((s) => s.sport === legs[j].sport)
+      .reduce((sum, s) => sum + s.confidence * (runDuration(records, s) + 1), 0);
+
+    if (leading) segments.push(leading);
+    segments.push({
+      startRecordIndex: group[0].startRecordIndex,
+      endRecordIndex: group[group.length - 1].endRecordIndex,
+      sport: legs[j].sport,
+      subSport: legs[j].subSport ?? 'generic',
+      discard: false,
+      confidence: Math.round((matchingConfidence / groupDuration) * 100) / 100,
+    });
+    if (trailing) segments.push(trailing);
+  }
+
+  return segments;
+}
+
+/**
+ * Fallback: split the elapsed time by the legs' ratios, or evenly if some leg has none
+ */
+function splitByRatios(records, legs) {
+  const weights = legs.every((leg) => leg.ratio > 0) ? legs.map((leg) => leg.ratio) : legs.map(() => 1);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const totalSec = (records[records.length - 1].timestamp - records[0].timestamp) / 1000;
+
+  const cuts = [];
+  let elapsedWeight = 0;
+  for (const weight of weights.slice(0, -1)) {
+    elapsedWeight += weight;
+    const idx = findRecordIndexAtElapsed(records, (totalSec * elapsedWeight) / totalWeight);
+    const minIdx = (cuts[cuts.length - 1] ?? 0) + 1;
+    if (Math.max(idx, minIdx) < records.length - 1) cuts.push(Math.max(idx, minIdx));
+  }
+
+  return buildSegmentsFromCuts(records, cuts).map((segment, i) => ({
+    ...segment,
+    sport: legs[i].sport,
+    subSport: legs[i].subSport ?? 'generic',
+    confidence: 0,
+  }));
+}
@@ -0,0 +1,78 @@
+/**
+ * Autosave of the editing session in IndexedDB: the source files (their bytes, so they
+ * can be decoded again) and the segments, saved separately so that each edit only
+ * rewrites the segments.
+ */
+
+const DB_NAME = 'fit-sport-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'session';
+
+let dbPromise = null;
+
+/**
+ * Save the files being edited, replacing any previous session
+ *
+ * @param {Array} files - Array of { name, data: ArrayBuffer }
+ * @param {Object} options - { gapsAsTransitions } used to merge them
+ */
+export async function saveSessionFiles(files, { gapsAsTransitions }) {
+  await runTransaction('readwrite', (store) => {
+    store.put({ files, gapsAsTransitions, savedAt: new Date() }, 'files');
+    store.delete('segments');
+  });
+}
+
+/**
+ * Save the segments of the session
+ */
+export async function saveSessionSegments(segments) {
+  await runTransaction('readwrite', (store) => {
+    store.put(segments.map((segment) => ({ ...segment })), 'segments');
+  });
+}
+
+/**
+ * The saved session, or null if there is none
+ *
+ * @returns {Promise<Object|null>} { files, gapsAsTransitions, savedAt, segments }
+ */
+export async function loadSession() {
+  let filesRequest;
+  let segmentsRequest;
+  await runTransaction('readonly', (store) => {
+    filesRequest = store.get('files');
+    segmentsRequest = store.get('segments');
+  });
+
+  if (!filesRequest.result) return null;
+  return { ...filesRequest.result, segments: segmentsRequest.result ?? null };
+}
+
+export async function clearSession() {
+  await runTransaction('readwrite', (store) => store.clear());
+}
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+async function runTransaction(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    fn(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
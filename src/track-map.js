@@ -0,0 +1,304 @@
+/**
+ * GPS track map drawn on a canvas with a Web Mercator projection, so it works
+ * without a tile server. OpenStreetMap tiles can be shown underneath as an option.
+ */
+
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const PADDING_PX = 16;
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 18;
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '© OpenStreetMap';
+// Clicks further than this from the track are ignored
+const MAX_PICK_DISTANCE_PX = 20;
+
+// Same colors as the sport badges
+const SPORT_COLORS = {
+  running: '#22c55e',
+  cycling: '#f59e0b',
+  swimming: '#00b4d8',
+  transition: '#a855f7',
+};
+const DEFAULT_COLOR = '#9aa0a6';
+const DISCARDED_COLOR = 'rgba(107, 114, 128, 0.6)';
+const HIGHLIGHT_COLOR = '#ef4444';
+const CUT_COLOR = 'rgba(239, 68, 68, 0.8)';
+
+let canvas = null;
+let points = []; // Projected { x, y } per record (world units, 0..1), or null without GPS
+let bounds = null;
+let segments = [];
+let highlightIndex = null;
+let showTiles = false;
+let onRecordPick = null;
+let resizeObserver = null;
+const tileCache = new Map();
+
+/**
+ * Creates the track map on the given canvas.
+ * Returns false (and draws nothing) if the records have no GPS positions.
+ *
+ * @param {string} canvasId
+ * @param {Array} records - Records from decodeFitFile()
+ * @param {Function} onPick - Called with the index of the record nearest to a click
+ */
+export function createTrackMap(canvasId, records, onPick) {
+  destroyTrackMap();
+
+  canvas = document.getElementById(canvasId);
+  onRecordPick = onPick;
+  points = records.map((r) => projectPosition(r.positionLat, r.positionLong));
+
+  const known = points.filter(Boolean);
+  if (known.length < 2) {
+    points = [];
+    return false;
+  }
+
+  bounds = known.reduce(
+    (b, p) => ({
+      minX: Math.min(b.minX, p.x),
+      maxX: Math.max(b.maxX, p.x),
+      minY: Math.min(b.minY, p.y),
+      maxY: Math.max(b.maxY, p.y),
+    }),
+    { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+  );
+
+  canvas.addEventListener('click', handleMapClick);
+  resizeObserver = new ResizeObserver(() => drawTrackMap());
+  resizeObserver.observe(canvas);
+
+  drawTrackMap();
+  return true;
+}
+
+/**
+ * Color the track by these segments
+ */
+export function setMapSegments(newSegments) {
+  segments = newSegments;
+  drawTrackMap();
+}
+
+/**
+ * Highlight the position of a record (null to clear)
+ */
+export function highlightMapRecord(recordIndex) {
+  if (recordIndex === highlightIndex) return;
+  highlightIndex = recordIndex;
+  drawTrackMap();
+}
+
+/**
+ * Show or hide the OpenStreetMap tiles under the track
+ */
+export function setMapTiles(enabled) {
+  showTiles = enabled;
+  drawTrackMap();
+}
+
+/**
+ * Destroy the map and release its listeners
+ */
+export function destroyTrackMap() {
+  if (canvas) {
+    canvas.removeEventListener('click', handleMapClick);
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  }
+  resizeObserver?.disconnect();
+  resizeObserver = null;
+  canvas = null;
+  points = [];
+  bounds = null;
+  segments = [];
+  highlightIndex = null;
+  onRecordPick = null;
+}
+
+/**
+ * Web Mercator projection of a FIT position (semicircles) to world units
+ */
+function projectPosition(lat, long) {
+  if (lat == null || long == null) return null;
+  const latRad = (lat * SEMICIRCLES_TO_DEGREES * Math.PI) / 180;
+  return {
+    x: (long * SEMICIRCLES_TO_DEGREES + 180) / 360,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2,
+  };
+}
+
+/**
+ * Scale and offset that fit the track in the canvas, keeping its aspect ratio
+ */
+function getViewport(width, height) {
+  const spanX = Math.max(bounds.maxX - bounds.minX, 1e-9);
+  const spanY = Math.max(bounds.maxY - bounds.minY, 1e-9);
+  const scale = Math.min((width - 2 * PADDING_PX) / spanX, (height - 2 * PADDING_PX) / spanY);
+
+  return {
+    scale,
+    offsetX: (width - spanX * scale) / 2 - bounds.minX * scale,
+    offsetY: (height - spanY * scale) / 2 - bounds.minY * scale,
+  };
+}
+
+function drawTrackMap() {
+  if (!canvas || !bounds) return;
+
+  // Match the canvas resolution to its displayed size
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (width === 0 || height === 0) return;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const view = getViewport(width, height);
+  const toCanvas = (p) => ({ x: p.x * view.scale + view.offsetX, y: p.y * view.scale + view.offsetY });
+
+  if (showTiles) drawTiles(ctx, view, width, height);
+
+  const ranges = segments.length > 0
+    ? segments
+    : [{ startRecordIndex: 0, endRecordIndex: points.length - 1 }];
+
+  ctx.lineWidth = 3;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  for (const seg of ranges) {
+    ctx.beginPath();
+    ctx.strokeStyle = seg.discard ? DISCARDED_COLOR : SPORT_COLORS[seg.sport] ?? DEFAULT_COLOR;
+    ctx.setLineDash(seg.discard ? [4, 4] : []);
+
+    // Start from the previous segment's last point so consecutive segments join up
+    let penDown = false;
+    for (let i = Math.max(0, seg.startRecordIndex - 1); i <= seg.endRecordIndex; i++) {
+      if (!points[i]) {
+        penDown = false;
+        continue;
+      }
+      const { x, y } = toCanvas(points[i]);
+      if (penDown) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      penDown = true;
+    }
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  // Cut positions
+  for (const seg of ranges.slice(1)) {
+    const p = findNearestKnownPoint(seg.startRecordIndex);
+    if (p) drawDot(ctx, toCanvas(p), 4, '#fff', CUT_COLOR);
+  }
+
+  if (highlightIndex != null) {
+    const p = findNearestKnownPoint(highlightIndex);
+    if (p) drawDot(ctx, toCanvas(p), 6, HIGHLIGHT_COLOR, '#fff');
+  }
+}
+
+function drawDot(ctx, { x, y }, radius, fill, stroke) {
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = fill;
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = stroke;
+  ctx.stroke();
+}
+
+/**
+ * Draw the OpenStreetMap tiles covering the canvas at the closest zoom level.
+ * Tiles are drawn as they arrive; missing tiles are simply left blank.
+ */
+function drawTiles(ctx, view, width, height) {
+  const zoom = Math.max(0, Math.min(MAX_TILE_ZOOM, Math.round(Math.log2(view.scale / TILE_SIZE))));
+  const tileCount = 2 ** zoom;
+  const tilePx = view.scale / tileCount;
+
+  const firstX = Math.max(0, Math.floor((-view.offsetX / view.scale) * tileCount));
+  const lastX = Math.min(tileCount - 1, Math.floor(((width - view.offsetX) / view.scale) * tileCount));
+  const firstY = Math.max(0, Math.floor((-view.offsetY / view.scale) * tileCount));
+  const lastY = Math.min(tileCount - 1, Math.floor(((height - view.offsetY) / view.scale) * tileCount));
+
+  for (let tx = firstX; tx <= lastX; tx++) {
+    for (let ty = firstY; ty <= lastY; ty++) {
+      const tile = loadTile(zoom, tx, ty);
+      if (!tile.complete || tile.naturalWidth === 0) continue;
+      ctx.drawImage(
+        tile,
+        (tx / tileCount) * view.scale + view.offsetX,
+        (ty / tileCount) * view.scale + view.offsetY,
+        tilePx,
+        tilePx
+      );
+    }
+  }
+
+  // Dim the tiles so the track stands out on the dark theme
+  ctx.fillStyle = 'rgba(26, 29, 35, 0.35)';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#e8eaed';
+  ctx.fillText(TILE_ATTRIBUTION, width - 6, height - 6);
+}
+
+function loadTile(zoom, x, y) {
+  const url = TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+  let tile = tileCache.get(url);
+  if (!tile) {
+    tile = new Image();
+    tile.crossOrigin = 'anonymous';
+    tile.addEventListener('load', () => drawTrackMap());
+    tile.src = url;
+    tileCache.set(url, tile);
+  }
+  return tile;
+}
+
+/**
+ * Position of the record, or of the closest record around it that has GPS
+ */
+function findNearestKnownPoint(recordIndex) {
+  for (let offset = 0; offset < points.length; offset++) {
+    if (points[recordIndex - offset]) return points[recordIndex - offset];
+    if (points[recordIndex + offset]) return points[recordIndex + offset];
+  }
+  return null;
+}
+
+/**
+ * Report the record whose position is nearest to the click, if the click is on the track
+ */
+function handleMapClick(event) {
+  if (!onRecordPick) return;
+
+  const rect = canvas.getBoundingClientRect();
+  const view = getViewport(rect.width, rect.height);
+  const clickX = event.clientX - rect.left;
+  const clickY = event.clientY - rect.top;
+
+  let closestIdx = -1;
+  let closestDist = Infinity;
+  points.forEach((p, i) => {
+    if (!p) return;
+    const dx = p.x * view.scale + view.offsetX - clickX;
+    const dy = p.y * view.scale + view.offsetY - clickY;
+    const dist = dx * dx + dy * dy;
+    if (dist < closestDist) {
+      closestDist = dist;
+      closestIdx = i;
+    }
+  });
+
+  if (closestIdx !== -1 && closestDist <= MAX_PICK_DISTANCE_PX ** 2) onRecordPick(closestIdx);
+}
@@ -0,0 +1,266 @@
+import { summarizeSegments } from './fit-encoder.js';
+import { SPORT_TYPES } from './fit-parser.js';
+
+const CREATOR = 'Garmin FIT Sport Editor';
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+/**
+ * TCX only knows these three sports
+ */
+const TCX_SPORTS = {
+  running: 'Running',
+  cycling: 'Biking',
+  eBiking: 'Biking',
+};
+
+/**
+ * Exports the segments as a GPX 1.1 file with one track per segment.
+ * Heart rate, cadence and speed go in Garmin's TrackPointExtension and power in its
+ * PowerExtension. Records without a position can't be written to GPX and are skipped.
+ * Discarded segments are left out, as in encodeFitFile().
+ *
+ * @param {Object} parsedData - Data from decodeFitFile()
+ * @param {Array} segments - Array of { startRecordIndex, endRecordIndex, sport, subSport, discard? }
+ * @param {Object} [options]
+ * @param {Array} [options.sportTypes=SPORT_TYPES] - Sport names for the track names, as getSportTypes() gives them
+ * @returns {string} GPX document
+ */
+export function encodeGpxFile(parsedData, segments, { sportTypes = SPORT_TYPES } = {}) {
+  const { records, segments: summarized } = summarizeSegments(parsedData, segments);
+
+  const tracks = summarized.map((segment, i) => {
+    const points = records
+      .slice(segment.startRecordIndex, segment.endRecordIndex + 1)
+      .filter((r) => r.positionLat != null && r.positionLong != null)
+      .map((r) => {
+        const extensions = [
+          r.heartRate != null ? `<gpxtpx:hr>${r.heartRate}</gpxtpx:hr>` : '',
+          r.cadence != null ? `<gpxtpx:cad>${r.cadence}</gpxtpx:cad>` : '',
+          r.speed != null ? `<gpxtpx:speed>${round(r.speed, 3)}</gpxtpx:speed>` : '',
+        ].join('');
+        return [
+          `      <trkpt lat="${toDegrees(r.positionLat)}" lon="${toDegrees(r.positionLong)}">`,
+          r.altitude != null ? `        <ele>${round(r.altitude, 1)}</ele>` : '',
+          `        <time>${r.timestamp.toISOString()}</time>`,
+          extensions || r.power != null ? '        <extensions>' : '',
+          extensions ? `          <gpxtpx:TrackPointExtension>${extensions}</gpxtpx:TrackPointExtension>` : '',
+          r.power != null ? `          <pwr:PowerInWatts>${r.power}</pwr:PowerInWatts>` : '',
+          extensions || r.power != null ? '        </extensions>' : '',
+          '      </trkpt>',
+        ].filter(Boolean).join('\n');
+      });
+
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(getSegmentName(segment, sportTypes, i))}</name>`,
+      `    <type>${escapeXml(segment.sport)}</type>`,
+      '    <trkseg>',
+      ...points,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}"`,
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1">',
+    '  <metadata>',
+    `    <time>${records[0].timestamp.toISOString()}</time>`,
+    '  </metadata>',
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Exports the segments as a TCX file. A single segment is written as a plain Activity;
+ * several are written as a MultiSportSession where each transition segment becomes the
+ * Transition lap before the next sport. Each segment keeps the laps encodeFitFile() would
+ * write. Discarded segments are left out.
+ *
+ * @param {Object} parsedData - Data from decodeFitFile()
+ * @param {Array} segments - Array of { startRecordIndex, endRecordIndex, sport, subSport, discard? }
+ * @param {Object} [options]
+ * @param {Array} [options.sportTypes=SPORT_TYPES] - Sport names for the activity notes, as getSportTypes() gives them
+ * @returns {string} TCX document
+ */
+export function encodeTcxFile(parsedData, segments, { sportTypes = SPORT_TYPES } = {}) {
+  const { records, segments: summarized } = summarizeSegments(parsedData, segments);
+  const buildActivity = (segment, indent) => buildTcxActivity(records, segment, indent, sportTypes);
+  let body;
+
+  if (summarized.length === 1) {
+    body = buildActivity(summarized[0], '    ');
+  } else {
+    const parts = [];
+    let pendingTransition = null;
+
+    summarized.forEach((segment, i) => {
+      const isTransition = segment.sport === 'transition';
+      const followedBySport = summarized[i + 1] && summarized[i + 1].sport !== 'transition';
+
+      // A transition only fits between two sports; otherwise it is written as its own sport
+      if (isTransition && parts.length > 0 && followedBySport) {
+        pendingTransition = segment;
+        return;
+      }
+
+      if (parts.length === 0) {
+        parts.push([
+          '      <FirstSport>',
+          buildActivity(segment, '        '),
+          '      </FirstSport>',
+        ].join('\n'));
+        return;
+      }
+
+      parts.push([
+        '      <NextSport>',
+        pendingTransition ? buildTcxTransition(records, pendingTransition, '        ') : '',
+        buildActivity(segment, '        '),
+        '      </NextSport>',
+      ].filter(Boolean).join('\n'));
+      pendingTransition = null;
+    });
+
+    body = [
+      '    <MultiSportSession>',
+      `      <Id>${records[summarized[0].startRecordIndex].timestamp.toISOString()}</Id>`,
+      ...parts,
+      '    </MultiSportSession>',
+    ].join('\n');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase',
+    '  xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"',
+    '  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+    '  <Activities>',
+    body,
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n');
+}
+
+function buildTcxActivity(records, segment, indent, sportTypes) {
+  const start = records[segment.startRecordIndex].timestamp.toISOString();
+  return [
+    `${indent}<Activity Sport="${TCX_SPORTS[segment.sport] ?? 'Other'}">`,
+    `${indent}  <Id>${start}</Id>`,
+    ...segment.laps.map((lap) => buildTcxLap(records, lap, segment, `${indent}  `)),
+    `${indent}  <Notes>${escapeXml(getSegmentName(segment, sportTypes))}</Notes>`,
+    `${indent}</Activity>`,
+  ].join('\n');
+}
+
+/**
+ * TCX transitions are a single lap, so the whole transition session becomes that lap
+ */
+function buildTcxTransition(records, segment, indent) {
+  const lap = {
+    startRecordIndex: segment.startRecordIndex,
+    endRecordIndex: segment.endRecordIndex,
+    mesg: segment.session,
+  };
+  return buildTcxLap(records, lap, segment, indent, 'Transition');
+}
+
+/**
+ * A TCX lap from a LAP message built by the encoder (tagName 'Transition' inside NextSport).
+ * TCX requires calories per lap: laps without their own get the session's share by timer time.
+ */
+function buildTcxLap(records, lap, segment, indent, tagName = 'Lap') {
+  const { mesg, startRecordIndex, endRecordIndex } = lap;
+  const { session } = segment;
+  const lapRecords = records.slice(startRecordIndex, endRecordIndex + 1);
+  const calories = mesg.totalCalories ?? (session.totalTimerTime > 0
+    ? Math.round((session.totalCalories ?? 0) * (mesg.totalTimerTime / session.totalTimerTime))
+    : 0);
+  const isRunning = segment.sport === 'running';
+
+  const lapExtensions = [
+    mesg.avgSpeed != null ? `<ns3:AvgSpeed>${round(mesg.avgSpeed, 3)}</ns3:AvgSpeed>` : '',
+    isRunning && mesg.avgCadence != null ? `<ns3:AvgRunCadence>${mesg.avgCadence}</ns3:AvgRunCadence>` : '',
+    mesg.avgPower != null ? `<ns3:AvgWatts>${mesg.avgPower}</ns3:AvgWatts>` : '',
+  ].join('');
+
+  return [
+    `${indent}<${tagName} StartTime="${lapRecords[0].timestamp.toISOString()}">`,
+    `${indent}  <TotalTimeSeconds>${round(mesg.totalTimerTime ?? 0, 3)}</TotalTimeSeconds>`,
+    `${indent}  <DistanceMeters>${round(mesg.totalDistance ?? 0, 2)}</DistanceMeters>`,
+    mesg.maxSpeed != null ? `${indent}  <MaximumSpeed>${round(mesg.maxSpeed, 3)}</MaximumSpeed>` : '',
+    `${indent}  <Calories>${calories}</Calories>`,
+    mesg.avgHeartRate != null
+      ? `${indent}  <AverageHeartRateBpm><Value>${mesg.avgHeartRate}</Value></AverageHeartRateBpm>`
+      : '',
+    mesg.maxHeartRate != null
+      ? `${indent}  <MaximumHeartRateBpm><Value>${mesg.maxHeartRate}</Value></MaximumHeartRateBpm>`
+      : '',
+    `${indent}  <Intensity>Active</Intensity>`,
+    !isRunning && mesg.avgCadence != null ? `${indent}  <Cadence>${mesg.avgCadence}</Cadence>` : '',
+    `${indent}  <TriggerMethod>Manual</TriggerMethod>`,
+    `${indent}  <Track>`,
+    ...lapRecords.map((r) => buildTcxTrackpoint(r, isRunning, `${indent}    `)),
+    `${indent}  </Track>`,
+    lapExtensions ? `${indent}  <Extensions><ns3:LX>${lapExtensions}</ns3:LX></Extensions>` : '',
+    `${indent}</${tagName}>`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * A TCX trackpoint. Running cadence goes in the RunCadence extension, as Garmin writes it.
+ */
+function buildTcxTrackpoint(r, isRunning, indent) {
+  const extensions = [
+    r.speed != null ? `<ns3:Speed>${round(r.speed, 3)}</ns3:Speed>` : '',
+    isRunning && r.cadence != null ? `<ns3:RunCadence>${r.cadence}</ns3:RunCadence>` : '',
+    r.power != null ? `<ns3:Watts>${r.power}</ns3:Watts>` : '',
+  ].join('');
+
+  return [
+    `${indent}<Trackpoint>`,
+    `${indent}  <Time>${r.timestamp.toISOString()}</Time>`,
+    r.positionLat != null && r.positionLong != null
+      ? `${indent}  <Position><LatitudeDegrees>${toDegrees(r.positionLat)}</LatitudeDegrees>`
+        + `<LongitudeDegrees>${toDegrees(r.positionLong)}</LongitudeDegrees></Position>`
+      : '',
+    r.altitude != null ? `${indent}  <AltitudeMeters>${round(r.altitude, 1)}</AltitudeMeters>` : '',
+    r.distance != null ? `${indent}  <DistanceMeters>${round(r.distance, 2)}</DistanceMeters>` : '',
+    r.heartRate != null ? `${indent}  <HeartRateBpm><Value>${r.heartRate}</Value></HeartRateBpm>` : '',
+    !isRunning && r.cadence != null ? `${indent}  <Cadence>${r.cadence}</Cadence>` : '',
+    extensions ? `${indent}  <Extensions><ns3:TPX>${extensions}</ns3:TPX></Extensions>` : '',
+    `${indent}</Trackpoint>`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Transition name (T1, T2...) or the sport label, numbered when the position is given
+ */
+function getSegmentName(segment, sportTypes, index) {
+  if (segment.name) return segment.name;
+  const label = sportTypes.find((s) => s.value === segment.sport)?.label ?? segment.sport;
+  return index != null ? `${index + 1}. ${label}` : label;
+}
+
+function toDegrees(semicircles) {
+  return round(semicircles * SEMICIRCLES_TO_DEGREES, 7);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
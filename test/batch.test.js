@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeBatch } from '../src/batch.js';
+
+/**
+ * Names of the files of a stored ZIP, from their local headers
+ */
+function readZipNames(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const names = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    names.push(new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength)));
+    offset += 30 + nameLength + extraLength + view.getUint32(offset + 18, true);
+  }
+  return names;
+}
+
+function batchItem(name) {
+  return { name, segments: [], parsedData: { records: [{ timestamp: new Date(2026, 4, 10) }] } };
+}
+
+test('encodeBatch() names each file after its source and passes the item to the encoder', () => {
+  const items = [batchItem('carrera.fit'), batchItem('Bici.FIT')];
+  const encoded = [];
+  const zip = encodeBatch(items, (parsedData, segments, item) => {
+    encoded.push(item.name);
+    return 'gpx';
+  }, 'gpx');
+
+  assert.deepEqual(encoded, ['carrera.fit', 'Bici.FIT']);
+  assert.deepEqual(readZipNames(zip), ['carrera_multisport.gpx', 'Bici_multisport.gpx']);
+});
+
+test('encodeBatch() numbers repeated names until they are free', () => {
+  const items = ['a.fit', 'a_2.fit', 'a.fit', 'a.fit', 'a_3.fit'].map(batchItem);
+  const zip = encodeBatch(items, () => new Uint8Array(1), 'fit');
+
+  assert.deepEqual(readZipNames(zip), [
+    'a_multisport.fit',
+    'a_2_multisport.fit',
+    'a_3_multisport.fit',
+    'a_4_multisport.fit',
+    'a_3_2_multisport.fit',
+  ]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { parseProject } from '../src/project.js';
+import { parsePresets } from '../src/segmentation.js';
+import { messages as es } from '../src/locales/es.js';
+import { messages as en } from '../src/locales/en.js';
+
+const SRC = new URL('../src/', import.meta.url);
+
+test('every error code thrown in src has a text in each language', () => {
+  const codes = new Set();
+  for (const file of readdirSync(SRC).filter((name) => name.endsWith('.js'))) {
+    for (const [, code] of readFileSync(new URL(file, SRC), 'utf8').matchAll(/createError\(\s*'(\w+)'/g)) {
+      codes.add(code);
+    }
+  }
+
+  assert.ok(codes.size > 0);
+  for (const code of codes) {
+    assert.ok(es[`errors.${code}`], `es: errors.${code}`);
+    assert.ok(en[`errors.${code}`], `en: errors.${code}`);
+  }
+});
+
+test('library errors carry a code and the values of their message', () => {
+  const records = [{ timestamp: new Date('2026-05-10T08:00:00Z') }, { timestamp: new Date('2026-05-10T09:00:00Z') }];
+  const project = JSON.stringify({
+    format: 'fit-sport-editor-project',
+    version: 1,
+    segments: [{ sport: 'running' }, { sport: 'quidditch', start: '2026-05-10T08:30:00Z' }],
+  });
+
+  assert.throws(() => parseProject('{', records), { code: 'projectNotJson' });
+  assert.throws(() => parseProject(project, records), {
+    code: 'projectSport',
+    params: { segment: 2, sport: 'quidditch' },
+    message: 'Deporte desconocido en el segmento 2: "quidditch"',
+  });
+  assert.throws(() => parsePresets('[{ "label": "Swimrun", "sports": [] }]'), {
+    code: 'presetNoSports',
+    params: { label: 'Swimrun' },
+  });
+});
@@ -0,0 +1,342 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Profile } from '@garmin/fitsdk';
+import { encodeFitFile, summarizeSegments } from '../src/fit-encoder.js';
+import { mergeParsedFiles, getSourceSegments } from '../src/fit-merge.js';
+import { validateFitFile } from '../src/fit-validate.js';
+import { buildActivity, decodeBytes } from './fixtures.js';
+
+/**
+ * Segments of the given lengths (in records) one after the other
+ */
+function segmentsOf(lengths, sport = 'running') {
+  let start = 0;
+  return lengths.map((length) => {
+    const segment = { startRecordIndex: start, endRecordIndex: start + length - 1, sport, subSport: 'generic' };
+    start += length;
+    return segment;
+  });
+}
+
+/**
+ * Data of the raw messages of a decoded file with the given mesgNum
+ */
+function messagesOf(parsedData, mesgNum) {
+  return parsedData.rawOrderedMessages.filter((m) => m.mesgNum === mesgNum).map((m) => m.data);
+}
+
+function caloriesOf(parsedData, segments) {
+  return summarizeSegments(parsedData, segments).segments.map((s) => s.session.totalCalories);
+}
+
+test('calories are split by HR-weighted time and add up to the original total', () => {
+  const parsedData = buildActivity({
+    legs: [
+      { sport: 'running', seconds: 100, speed: 3, heartRate: 100, calories: 101 },
+      { sport: 'running', seconds: 200, speed: 3, heartRate: 150 },
+    ],
+  });
+  const calories = caloriesOf(parsedData, segmentsOf([100, 100, 100]));
+
+  assert.equal(calories.reduce((sum, c) => sum + c, 0), 101);
+  assert.ok(calories.every(Number.isInteger));
+  // The harder part of the activity burns more
+  assert.ok(calories[1] > calories[0]);
+});
+
+test('without any HR, calories are split by time', () => {
+  const parsedData = buildActivity({
+    legs: [{ sport: 'cycling', seconds: 301, speed: 8, calories: 300 }],
+  });
+
+  assert.deepEqual(caloriesOf(parsedData, segmentsOf([101, 200])), [100, 200]);
+});
+
+test('a segment without HR still gets calories for its time', () => {
+  const parsedData = buildActivity({
+    legs: [
+      { sport: 'swimming', seconds: 201, speed: 1, calories: 200 },
+      { sport: 'running', seconds: 200, speed: 3, heartRate: 150 },
+    ],
+  });
+  const [swim, run] = caloriesOf(parsedData, segmentsOf([201, 200]));
+
+  assert.equal(swim + run, 200);
+  assert.ok(Math.abs(swim - run) <= 2, `${swim} / ${run}`);
+});
+
+test('the transitions bridging the gaps of a merge get their share of calories', () => {
+  const merged = mergeParsedFiles([
+    {
+      name: 'bike.fit',
+      parsedData: buildActivity({
+        start: new Date('2026-05-10T08:00:00Z'),
+        legs: [{ sport: 'cycling', seconds: 600, speed: 9, heartRate: 150, calories: 200 }],
+      }),
+    },
+    {
+      name: 'run.fit',
+      parsedData: buildActivity({
+        start: new Date('2026-05-10T08:15:00Z'),
+        legs: [{ sport: 'running', seconds: 600, speed: 3, heartRate: 150, calories: 200 }],
+      }),
+    },
+  ]);
+  const segments = getSourceSegments(merged);
+  const calories = caloriesOf(merged, segments);
+
+  assert.deepEqual(segments.map((s) => s.sport), ['cycling', 'transition', 'running']);
+  assert.equal(calories.reduce((sum, c) => sum + c, 0), 400);
+  assert.ok(calories[1] > 0, `transition: ${calories[1]}`);
+});
+
+test('a lap that straddles a cut is split in two recomputed laps', () => {
+  // Laps of 100 records, the second one cut at record 150
+  const parsedData = buildActivity({ legs: [{ sport: 'running', seconds: 300, speed: 3, laps: 3 }] });
+  const decoded = decodeBytes(encodeFitFile(parsedData, [
+    { startRecordIndex: 0, endRecordIndex: 149, sport: 'running', subSport: 'generic' },
+    { startRecordIndex: 150, endRecordIndex: 299, sport: 'cycling', subSport: 'generic' },
+  ]));
+  const laps = messagesOf(decoded, Profile.MesgNum.LAP);
+  const startOf = (recordIndex) => parsedData.records[recordIndex].timestamp.getTime();
+
+  assert.deepEqual(
+    decoded.laps.map((lap) => [
+      lap.startTime.getTime(),
+      lap.totalElapsedTime,
+      lap.totalTimerTime,
+      lap.totalDistance,
+      lap.sport,
+    ]),
+    [
+      // Untouched laps keep their original values
+      [startOf(0), 99, 99, 300, 'running'],
+      [startOf(100), 49, 49, 147, 'running'],
+      [startOf(150), 49, 49, 147, 'cycling'],
+      [startOf(200), 99, 99, 300, 'cycling'],
+    ]
+  );
+  assert.deepEqual(laps.map((lap) => lap.messageIndex), [0, 1, 2, 3]);
+  // Only the half that ends at the cut ends with the session
+  assert.deepEqual(laps.map((lap) => lap.lapTrigger), ['manual', 'sessionEnd', 'manual', 'sessionEnd']);
+
+  assert.deepEqual(
+    messagesOf(decoded, Profile.MesgNum.SESSION).map((s) => [s.firstLapIndex, s.numLaps]),
+    [[0, 2], [2, 2]]
+  );
+});
+
+test('a cut on a lap boundary leaves the laps as they were', () => {
+  const parsedData = buildActivity({ legs: [{ sport: 'running', seconds: 300, speed: 3, laps: 3 }] });
+  const decoded = decodeBytes(encodeFitFile(parsedData, [
+    { startRecordIndex: 0, endRecordIndex: 99, sport: 'swimming', subSport: 'generic' },
+    { startRecordIndex: 100, endRecordIndex: 299, sport: 'running', subSport: 'generic' },
+  ]));
+
+  assert.deepEqual(
+    decoded.laps.map((lap) => [lap.totalElapsedTime, lap.totalDistance, lap.sport]),
+    [[99, 300, 'swimming'], [99, 300, 'running'], [99, 300, 'running']]
+  );
+  assert.deepEqual(
+    messagesOf(decoded, Profile.MesgNum.SESSION).map((s) => [s.firstLapIndex, s.numLaps]),
+    [[0, 1], [1, 2]]
+  );
+});
+
+test('a file without laps gets one lap per session', () => {
+  const parsedData = buildActivity({ legs: [{ sport: 'running', seconds: 200, speed: 3 }] });
+  const withoutLaps = {
+    ...parsedData,
+    laps: [],
+    rawOrderedMessages: parsedData.rawOrderedMessages.filter((m) => m.mesgNum !== Profile.MesgNum.LAP),
+  };
+  const decoded = decodeBytes(encodeFitFile(withoutLaps, [
+    { startRecordIndex: 0, endRecordIndex: 79, sport: 'running', subSport: 'generic' },
+    { startRecordIndex: 80, endRecordIndex: 199, sport: 'cycling', subSport: 'generic' },
+  ]));
+
+  assert.deepEqual(decoded.laps.map((lap) => [lap.totalElapsedTime, lap.sport]), [[79, 'running'], [119, 'cycling']]);
+  assert.deepEqual(
+    messagesOf(decoded, Profile.MesgNum.SESSION).map((s) => [s.firstLapIndex, s.numLaps]),
+    [[0, 1], [1, 1]]
+  );
+});
+
+/**
+ * Timer events of a decoded file as [eventType, seconds since the first record, records written before it]
+ */
+function timerEventsOf(decoded) {
+  const startTs = messagesOf(decoded, Profile.MesgNum.RECORD)[0].timestamp;
+  const events = [];
+  let recordsBefore = 0;
+  for (const { mesgNum, data } of decoded.rawOrderedMessages) {
+    if (mesgNum === Profile.MesgNum.RECORD) recordsBefore++;
+    if (mesgNum === Profile.MesgNum.EVENT && data.event === 'timer') {
+      events.push([data.eventType, data.timestamp - startTs, recordsBefore]);
+    }
+  }
+  return events;
+}
+
+/**
+ * A run whose timer stops for 30 s after the first 50 records, cut in two after the pause
+ */
+function pausedActivity() {
+  return {
+    parsedData: buildActivity({
+      legs: [{ sport: 'running', seconds: 200, speed: 3, pause: { after: 50, seconds: 30 } }],
+    }),
+    segments: [
+      { startRecordIndex: 0, endRecordIndex: 99, sport: 'running', subSport: 'generic' },
+      { startRecordIndex: 100, endRecordIndex: 199, sport: 'cycling', subSport: 'generic' },
+    ],
+  };
+}
+
+test('a pause inside a segment counts for its elapsed time but not its timer time', () => {
+  const { parsedData, segments } = pausedActivity();
+
+  for (const mode of ['full', 'minimal']) {
+    const decoded = decodeBytes(encodeFitFile(parsedData, segments, { mode }));
+    assert.deepEqual(
+      decoded.sessions.map((s) => [s.totalElapsedTime, s.totalTimerTime]),
+      [[129, 99], [99, 99]],
+      mode
+    );
+    assert.deepEqual(decoded.laps.map((lap) => lap.totalTimerTime), [99, 99], mode);
+  }
+});
+
+test('both modes write the original pause events where they were', () => {
+  const { parsedData, segments } = pausedActivity();
+  const pause = [['stop', 50, 50], ['start', 80, 50]];
+
+  // The full mode copies the original timer events
+  assert.deepEqual(timerEventsOf(decodeBytes(encodeFitFile(parsedData, segments))), [
+    ['start', 0, 0],
+    ...pause,
+    ['stopAll', 229, 200],
+  ]);
+  // The minimal mode starts and stops the timer around each segment, with the pause in between
+  assert.deepEqual(timerEventsOf(decodeBytes(encodeFitFile(parsedData, segments, { mode: 'minimal' }))), [
+    ['start', 0, 0],
+    ...pause,
+    ['stopAll', 129, 100],
+    ['start', 130, 100],
+    ['stopAll', 229, 200],
+  ]);
+});
+
+/**
+ * A swim, a ride and a run of 100 records each, one segment per leg, with the given ones discarded
+ */
+function triathlonDiscarding(...discarded) {
+  const parsedData = buildActivity({
+    legs: [
+      { sport: 'swimming', seconds: 100, speed: 1 },
+      { sport: 'cycling', seconds: 100, speed: 9 },
+      { sport: 'running', seconds: 100, speed: 3 },
+    ],
+  });
+  const segments = ['swimming', 'cycling', 'running'].map((sport, i) => ({
+    startRecordIndex: i * 100,
+    endRecordIndex: i * 100 + 99,
+    sport,
+    subSport: 'generic',
+    discard: discarded.includes(i),
+  }));
+  const bytes = encodeFitFile(parsedData, segments);
+  return { report: validateFitFile(parsedData, segments, bytes), decoded: decodeBytes(bytes) };
+}
+
+/**
+ * Distances of the given number of records from `start`, `speed` meters apart
+ */
+function distancesFrom(start, speed, count = 100) {
+  return Array.from({ length: count }, (_, i) => start + i * speed);
+}
+
+test('discarding a middle segment keeps the distance continuous across it', () => {
+  const { report, decoded } = triathlonDiscarding(1);
+
+  assert.ok(report.ok, JSON.stringify(report.checks));
+  // The run picks up where the swim ended
+  assert.deepEqual(decoded.records.map((r) => r.distance), [...distancesFrom(0, 1), ...distancesFrom(99, 3)]);
+  assert.deepEqual(
+    decoded.sessions.map((s) => [s.sport, s.totalTimerTime, s.totalDistance]),
+    [['swimming', 99, 99], ['running', 99, 297]]
+  );
+  // The ride becomes a pause between the two
+  assert.deepEqual(
+    decoded.timerEvents.map((e) => [e.eventType, (e.timestamp - decoded.records[0].timestamp) / 1000]),
+    [['start', 0], ['stopAll', 99], ['start', 200], ['stopAll', 299]]
+  );
+});
+
+test('discarding the first segment starts the distance at 0', () => {
+  const { report, decoded } = triathlonDiscarding(0);
+
+  assert.ok(report.ok, JSON.stringify(report.checks));
+  assert.deepEqual(decoded.records.map((r) => r.distance), [...distancesFrom(0, 9), ...distancesFrom(900, 3)]);
+  assert.deepEqual(
+    decoded.sessions.map((s) => [s.sport, s.totalTimerTime, s.totalDistance]),
+    [['cycling', 99, 891], ['running', 99, 297]]
+  );
+});
+
+test('discarding the last segment leaves the distances as they were', () => {
+  const { report, decoded } = triathlonDiscarding(2);
+
+  assert.ok(report.ok, JSON.stringify(report.checks));
+  assert.deepEqual(decoded.records.map((r) => r.distance), [...distancesFrom(0, 1), ...distancesFrom(100, 9)]);
+  assert.deepEqual(
+    decoded.sessions.map((s) => [s.sport, s.totalTimerTime, s.totalDistance]),
+    [['swimming', 99, 99], ['cycling', 99, 891]]
+  );
+});
+
+test('messages the profile defines are written back unchanged; unknown fields are left out', () => {
+  const userProfile = {
+    friendlyName: 'Ana',
+    gender: 'female',
+    age: 34,
+    height: 1.68,
+    weight: 61.5,
+    restingHeartRate: 48,
+    defaultMaxHeartRate: 186,
+  };
+  const deviceSettings = {
+    utcOffset: 0,
+    timeOffset: 7200,
+    timeZoneOffset: 2,
+    activeTimeZone: 0,
+    backlightMode: 'manual',
+  };
+  const parsedData = buildActivity({
+    legs: [{ sport: 'running', seconds: 100, speed: 3 }],
+    messages: [
+      { mesgNum: Profile.MesgNum.USER_PROFILE, mesg: userProfile },
+      { mesgNum: Profile.MesgNum.DEVICE_SETTINGS, mesg: deviceSettings },
+    ],
+  });
+  assert.deepEqual(messagesOf(parsedData, Profile.MesgNum.USER_PROFILE), [userProfile]);
+
+  // A manufacturer's field the profile doesn't know, as decodeFitFile() would keep it
+  const withUnknownField = {
+    ...parsedData,
+    rawOrderedMessages: parsedData.rawOrderedMessages.map((m) => (m.mesgNum === Profile.MesgNum.USER_PROFILE
+      ? { ...m, data: { ...m.data, 250: 7 } }
+      : m)),
+  };
+  const segments = [
+    { startRecordIndex: 0, endRecordIndex: 49, sport: 'running', subSport: 'generic' },
+    { startRecordIndex: 50, endRecordIndex: 99, sport: 'cycling', subSport: 'generic' },
+  ];
+  const bytes = encodeFitFile(withUnknownField, segments);
+  const decoded = decodeBytes(bytes);
+
+  assert.deepEqual(messagesOf(decoded, Profile.MesgNum.USER_PROFILE), [userProfile]);
+  assert.deepEqual(messagesOf(decoded, Profile.MesgNum.DEVICE_SETTINGS), [deviceSettings]);
+  // The report lists dropped messages, not dropped fields
+  assert.deepEqual(validateFitFile(withUnknownField, segments, bytes).droppedMessages, []);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Profile } from '@garmin/fitsdk';
+import { mergeParsedFiles, getSourceSegments } from '../src/fit-merge.js';
+import { encodeFitFile } from '../src/fit-encoder.js';
+import { buildActivity, decodeBytes } from './fixtures.js';
+
+/**
+ * The three legs of a triathlon recorded as separate files, with a gap between them
+ */
+function triathlonFiles() {
+  return [
+    {
+      name: 'bike.fit',
+      parsedData: buildActivity({
+        start: new Date('2026-05-10T08:33:00Z'),
+        legs: [{ sport: 'cycling', subSport: 'road', seconds: 120, speed: 9, heartRate: 150 }],
+      }),
+    },
+    {
+      name: 'swim.fit',
+      parsedData: buildActivity({
+        start: new Date('2026-05-10T08:00:00Z'),
+        legs: [{ sport: 'swimming', subSport: 'openWater', seconds: 120, speed: 1 }],
+      }),
+    },
+    {
+      name: 'run.fit',
+      parsedData: buildActivity({
+        start: new Date('2026-05-10T08:40:00Z'),
+        legs: [{ sport: 'running', subSport: 'trail', seconds: 120, speed: 3, heartRate: 160 }],
+      }),
+    },
+  ];
+}
+
+test('decodeFitFile() reports the sub-sport of the first session', () => {
+  const parsedData = buildActivity({ legs: [{ sport: 'swimming', subSport: 'openWater', seconds: 10, speed: 1 }] });
+  assert.equal(parsedData.summary.subSport, 'openWater');
+});
+
+test('a merge keeps the sport and sub-sport of each file', () => {
+  const merged = mergeParsedFiles(triathlonFiles());
+
+  assert.deepEqual(
+    merged.sources.map((s) => [s.name, s.kind, s.sport, s.subSport]),
+    [
+      ['swim.fit', 'file', 'swimming', 'openWater'],
+      ['swim.fit → bike.fit', 'gap', 'transition', 'generic'],
+      ['bike.fit', 'file', 'cycling', 'road'],
+      ['bike.fit → run.fit', 'gap', 'transition', 'generic'],
+      ['run.fit', 'file', 'running', 'trail'],
+    ]
+  );
+  assert.equal(merged.summary.subSport, 'openWater');
+  assert.deepEqual(
+    getSourceSegments(merged).map((s) => s.subSport),
+    ['openWater', 'generic', 'road', 'generic', 'trail']
+  );
+});
+
+test('a merge renumbers the developer fields of each file so they stay apart', () => {
+  const first = buildActivity({
+    start: new Date('2026-05-10T08:00:00Z'),
+    legs: [{ sport: 'running', seconds: 30, speed: 3 }],
+    developerFields: true,
+  });
+  const second = buildActivity({
+    start: new Date('2026-05-10T08:10:00Z'),
+    legs: [{ sport: 'cycling', seconds: 30, speed: 9 }],
+    developerFields: true,
+  });
+  const merged = mergeParsedFiles([
+    { name: 'run.fit', parsedData: first },
+    { name: 'bike.fit', parsedData: second },
+  ]);
+
+  const keys = Object.keys(merged.fieldDescriptions).map(Number);
+  assert.deepEqual(keys, [0, 1]);
+  assert.deepEqual(
+    keys.map((key) => [
+      merged.fieldDescriptions[key].developerDataIdMesg.developerDataIndex,
+      merged.fieldDescriptions[key].fieldDescriptionMesg.developerDataIndex,
+    ]),
+    [[0, 0], [1, 1]]
+  );
+
+  const { sources, records } = merged;
+  assert.deepEqual(records[sources[0].startRecordIndex].developerFields, first.records[0].developerFields);
+  assert.deepEqual(records[sources[2].startRecordIndex].developerFields, { 1: second.records[0].developerFields[0] });
+
+  // The raw messages the encoder writes back are renumbered the same way
+  const developerDataIndices = merged.rawOrderedMessages
+    .filter((m) => m.mesgNum === Profile.MesgNum.DEVELOPER_DATA_ID || m.mesgNum === Profile.MesgNum.FIELD_DESCRIPTION)
+    .map((m) => m.data.developerDataIndex);
+  assert.deepEqual(developerDataIndices, [0, 0, 1, 1]);
+});
+
+test('the merged developer fields survive re-encoding', () => {
+  const merged = mergeParsedFiles(['08:00', '08:10'].map((time, i) => ({
+    name: `${i}.fit`,
+    parsedData: buildActivity({
+      start: new Date(`2026-05-10T${time}:00Z`),
+      legs: [{ sport: 'running', seconds: 30, speed: 3 }],
+      developerFields: true,
+    }),
+  })));
+  const decoded = decodeBytes(encodeFitFile(merged, getSourceSegments(merged)));
+
+  assert.equal(decoded.records.length, merged.records.length);
+  assert.deepEqual(
+    decoded.records.map((r) => Object.keys(r.developerFields ?? {})),
+    merged.records.map((r) => Object.keys(r.developerFields ?? {}))
+  );
+});
@@ -0,0 +1,161 @@
+/**
+ * Small FIT activities built with the SDK's encoder, so the tests don't need binary files.
+ */
+import { Encoder, Profile, Utils } from '@garmin/fitsdk';
+import { decodeFitFile } from '../src/fit-parser.js';
+
+const DEFAULT_START = new Date('2026-05-10T08:00:00Z');
+
+/**
+ * Developer field of the fixtures: a second power meter on every record
+ */
+export const DEVELOPER_FIELD = {
+  developerDataIdMesg: {
+    developerDataIndex: 0,
+    applicationId: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    applicationVersion: 1,
+  },
+  fieldDescriptionMesg: {
+    developerDataIndex: 0,
+    fieldDefinitionNumber: 0,
+    fitBaseTypeId: 132,
+    fieldName: 'Power2',
+    units: 'W',
+    nativeMesgNum: Profile.MesgNum.RECORD,
+  },
+};
+
+/**
+ * Encode an activity with one record per second, starting at 0 m, and one session per leg.
+ * Each leg is split in `laps` laps of the same length; all but the last end
+ * with a manual lap trigger. A leg's `pause` stops the timer for `seconds`
+ * after its first `after` records.
+ *
+ * @param {Object} options
+ * @param {Date} [options.start]
+ * @param {Array} options.legs - Array of
+ *   { sport, subSport?, seconds, speed, heartRate?, calories?, laps?, pause?: { after, seconds } }
+ * @param {boolean} [options.developerFields=false] - Add DEVELOPER_FIELD to the records
+ * @param {Array} [options.messages=[]] - Array of { mesgNum, mesg } to write after the file_id
+ * @returns {Uint8Array}
+ */
+export function buildFitFile({ start = DEFAULT_START, legs, developerFields = false, messages = [] }) {
+  const encoder = new Encoder(developerFields ? { fieldDescriptions: { 0: DEVELOPER_FIELD } } : {});
+  const startTs = toFitTimestamp(start);
+
+  encoder.onMesg(Profile.MesgNum.FILE_ID, {
+    type: 'activity',
+    manufacturer: 'development',
+    product: 1,
+    timeCreated: startTs,
+    serialNumber: 1,
+  });
+  for (const { mesgNum, mesg } of messages) {
+    encoder.onMesg(mesgNum, mesg);
+  }
+  if (developerFields) {
+    encoder.onMesg(Profile.MesgNum.DEVELOPER_DATA_ID, DEVELOPER_FIELD.developerDataIdMesg);
+    encoder.onMesg(Profile.MesgNum.FIELD_DESCRIPTION, DEVELOPER_FIELD.fieldDescriptionMesg);
+  }
+  encoder.onMesg(Profile.MesgNum.EVENT, { timestamp: startTs, event: 'timer', eventType: 'start' });
+
+  let t = 0;
+  let distance = 0;
+  const sessions = [];
+  let lapIndex = 0;
+  let pausedTime = 0;
+  const summarize = (leg, fromT, fromDistance, fromPausedTime) => ({
+    timestamp: startTs + t - 1,
+    startTime: startTs + fromT,
+    totalElapsedTime: t - 1 - fromT,
+    totalTimerTime: t - 1 - fromT - (pausedTime - fromPausedTime),
+    totalDistance: distance - fromDistance,
+    sport: leg.sport,
+    subSport: leg.subSport ?? 'generic',
+  });
+
+  legs.forEach((leg, legIdx) => {
+    const legStart = t;
+    const legDistance = distance;
+    const legPausedTime = pausedTime;
+    const firstLapIndex = lapIndex;
+    const lapSeconds = Math.ceil(leg.seconds / (leg.laps ?? 1));
+    let lapStart = t;
+    let lapDistance = distance;
+    let lapPausedTime = pausedTime;
+
+    for (let i = 0; i < leg.seconds; i++) {
+      if (i === leg.pause?.after) {
+        encoder.onMesg(Profile.MesgNum.EVENT, { timestamp: startTs + t, event: 'timer', eventType: 'stop' });
+        t += leg.pause.seconds;
+        pausedTime += leg.pause.seconds;
+        encoder.onMesg(Profile.MesgNum.EVENT, { timestamp: startTs + t, event: 'timer', eventType: 'start' });
+      }
+
+      encoder.onMesg(Profile.MesgNum.RECORD, {
+        timestamp: startTs + t,
+        distance,
+        speed: leg.speed,
+        ...(leg.heartRate != null ? { heartRate: leg.heartRate } : {}),
+        ...(developerFields ? { developerFields: { 0: 200 + (t % 10) } } : {}),
+      });
+      distance += leg.speed;
+      t++;
+
+      const lastOfLeg = i === leg.seconds - 1;
+      if (lastOfLeg || (i + 1) % lapSeconds === 0) {
+        encoder.onMesg(Profile.MesgNum.LAP, {
+          ...summarize(leg, lapStart, lapDistance, lapPausedTime),
+          messageIndex: lapIndex++,
+          event: 'lap',
+          eventType: 'stop',
+          lapTrigger: lastOfLeg ? 'sessionEnd' : 'manual',
+        });
+        lapStart = t;
+        lapDistance = distance;
+        lapPausedTime = pausedTime;
+      }
+    }
+
+    sessions.push({
+      ...summarize(leg, legStart, legDistance, legPausedTime),
+      messageIndex: legIdx,
+      firstLapIndex,
+      numLaps: lapIndex - firstLapIndex,
+      ...(leg.calories != null ? { totalCalories: leg.calories } : {}),
+    });
+  });
+
+  encoder.onMesg(Profile.MesgNum.EVENT, { timestamp: startTs + t - 1, event: 'timer', eventType: 'stopAll' });
+  for (const session of sessions) {
+    encoder.onMesg(Profile.MesgNum.SESSION, { ...session, event: 'session', eventType: 'stop' });
+  }
+  encoder.onMesg(Profile.MesgNum.ACTIVITY, {
+    timestamp: startTs + t - 1,
+    localTimestamp: startTs + t - 1 + 7200,
+    numSessions: sessions.length,
+    type: sessions.length > 1 ? 'autoMultiSport' : 'manual',
+    event: 'activity',
+    eventType: 'stop',
+  });
+
+  return encoder.close();
+}
+
+/**
+ * decodeFitFile() of the given bytes
+ */
+export function decodeBytes(bytes) {
+  return decodeFitFile(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+/**
+ * Decoded activity built by buildFitFile()
+ */
+export function buildActivity(options) {
+  return decodeBytes(buildFitFile(options));
+}
+
+export function toFitTimestamp(date) {
+  return Math.round((date.getTime() - Utils.FIT_EPOCH_MS) / 1000);
+}
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSegmentsFromCuts,
+  parseElapsed,
+  findRecordAtPosition,
+  setSegmentStart,
+  setSegmentEnd,
+  splitSegment,
+  insertTransition,
+} from '../src/segmentation.js';
+
+const START = new Date(2026, 4, 10, 23, 50, 0);
+
+/**
+ * Records every 2 s at 5 m/s, starting ten minutes before midnight (local time)
+ */
+const records = Array.from({ length: 601 }, (_, i) => ({
+  timestamp: new Date(START.getTime() + i * 2000),
+  distance: i * 10,
+}));
+
+const segments = [
+  { startRecordIndex: 0, endRecordIndex: 199, sport: 'swimming', subSport: 'openWater', discard: false },
+  { startRecordIndex: 200, endRecordIndex: 399, sport: 'cycling', subSport: 'road', discard: true, confidence: 0.9 },
+  {
+    startRecordIndex: 400, endRecordIndex: 600, sport: 'running', subSport: 'generic', discard: false, confidence: 0.8,
+  },
+];
+
+const bounds = (list) => list.map((s) => [s.startRecordIndex, s.endRecordIndex]);
+
+test('parseElapsed() reads seconds, m:ss and h:mm:ss', () => {
+  assert.equal(parseElapsed('90'), 90);
+  assert.equal(parseElapsed('90,5'), 90.5);
+  assert.equal(parseElapsed(' 25:30 '), 25 * 60 + 30);
+  assert.equal(parseElapsed('1:02:03'), 3723);
+  for (const text of ['', 'abc', '1:75', '1:2:3:4', '-5', '1:']) {
+    assert.equal(parseElapsed(text), null, text);
+  }
+});
+
+test('findRecordAtPosition() reads clock times, elapsed times and distances', () => {
+  assert.equal(findRecordAtPosition(records, '23:51:00'), 30);
+  assert.equal(findRecordAtPosition(records, '11:51 PM'), 30);
+  // Past midnight it's the next day
+  assert.equal(findRecordAtPosition(records, '0:00:02'), 301);
+  assert.equal(findRecordAtPosition(records, '+1:00'), 30);
+  assert.equal(findRecordAtPosition(records, '+61'), 31);
+  assert.equal(findRecordAtPosition(records, '+61', { atOrBefore: true }), 30);
+  assert.equal(findRecordAtPosition(records, '1,5 km'), 150);
+  assert.equal(findRecordAtPosition(records, '1.5'), 150);
+  assert.equal(findRecordAtPosition(records, '800 m'), 80);
+  assert.equal(findRecordAtPosition(records, '1', { distanceUnit: 'mi' }), 161);
+  assert.equal(findRecordAtPosition(records, '1 mi', { atOrBefore: true }), 160);
+});
+
+test('findRecordAtPosition() rejects what it can\'t read or is outside the activity', () => {
+  for (const text of ['abc', '25:00', '13:00 PM', '+1:00:00', '7 km', '5 furlongs', '']) {
+    assert.equal(findRecordAtPosition(records, text), null, text);
+  }
+  assert.equal(findRecordAtPosition([], '+10'), null);
+  assert.equal(findRecordAtPosition(records.map((r) => ({ ...r, distance: null })), '1 km'), null);
+});
+
+test('setSegmentStart() and setSegmentEnd() move the boundary shared with the neighbour', () => {
+  const moved = setSegmentStart(segments, 1, 150);
+  assert.deepEqual(bounds(moved), [[0, 149], [150, 399], [400, 600]]);
+  assert.deepEqual(setSegmentEnd(segments, 1, 449), setSegmentStart(segments, 2, 450));
+  assert.deepEqual(bounds(setSegmentEnd(segments, 1, 449)), [[0, 199], [200, 449], [450, 600]]);
+
+  // Sports and discard flags stay; the confidence only where the bounds didn't change
+  assert.deepEqual(moved.map((s) => [s.sport, s.discard, s.confidence]), [
+    ['swimming', false, undefined],
+    ['cycling', true, undefined],
+    ['running', false, 0.8],
+  ]);
+  assert.equal(segments[1].startRecordIndex, 200, 'the input is left as it was');
+});
+
+test('setSegmentStart() and setSegmentEnd() refuse to leave a segment empty', () => {
+  assert.equal(setSegmentStart(segments, 1, 0), null);
+  assert.equal(setSegmentStart(segments, 1, 400), null);
+  assert.notEqual(setSegmentStart(segments, 1, 399), null);
+  assert.equal(setSegmentEnd(segments, 1, 199), null);
+  assert.equal(setSegmentEnd(segments, 1, 600), null);
+  // The activity's own start and end don't move
+  assert.equal(setSegmentStart(segments, 0, 10), null);
+  assert.equal(setSegmentEnd(segments, 2, 500), null);
+});
+
+test('splitSegment() splits at a record or at the middle of the time', () => {
+  assert.deepEqual(bounds(splitSegment(records, segments, 1, 250)), [[0, 199], [200, 249], [250, 399], [400, 600]]);
+  const halves = splitSegment(records, segments, 2);
+  assert.deepEqual(bounds(halves), [[0, 199], [200, 399], [400, 499], [500, 600]]);
+  assert.deepEqual(halves.slice(2).map((s) => [s.sport, s.discard, s.confidence]), [
+    ['running', false, undefined],
+    ['running', false, undefined],
+  ]);
+
+  assert.equal(splitSegment(records, segments, 1, 200), null);
+  assert.equal(splitSegment(records, segments, 1, 400), null);
+  assert.equal(splitSegment(records, segments, 5), null);
+});
+
+test('insertTransition() starts a segment with a transition named after the sports around it', () => {
+  const result = insertTransition(records, segments, 1, 60);
+  assert.deepEqual(bounds(result), [[0, 199], [200, 229], [230, 399], [400, 600]]);
+  assert.deepEqual(result.slice(1, 3).map((s) => [s.sport, s.subSport, s.discard]), [
+    ['transition', 'swimToBikeTransition', false],
+    ['cycling', 'road', true],
+  ]);
+
+  assert.equal(insertTransition(records, segments, 2, 30)[2].subSport, 'bikeToRunTransition');
+  assert.equal(insertTransition(records, segments, 0, 30)[0].subSport, 'generic');
+});
+
+test('insertTransition() refuses transitions that don\'t fit', () => {
+  assert.equal(insertTransition(records, segments, 1, 400), null);
+  assert.notEqual(insertTransition(records, segments, 1, 398), null);
+  assert.equal(insertTransition(records, segments, 1, 0), null);
+  assert.equal(insertTransition(records, segments, 1, NaN), null);
+});
+
+test('buildSegmentsFromCuts() keeps the previous choices and only guesses the new segments', () => {
+  // Ten minutes running at 3 m/s, then ten minutes riding at 9 m/s
+  const rideRecords = Array.from({ length: 1200 }, (_, i) => ({
+    timestamp: new Date(START.getTime() + i * 1000),
+    speed: i < 600 ? 3 : 9,
+    distance: i < 600 ? i * 3 : 1800 + (i - 600) * 9,
+  }));
+  const previous = [{
+    startRecordIndex: 0, endRecordIndex: 299, sport: 'swimming', subSport: 'openWater', discard: true, confidence: 0.7,
+  }];
+
+  const result = buildSegmentsFromCuts(rideRecords, [300, 600], previous);
+  assert.deepEqual(result.map((s) => [s.sport, s.subSport, s.discard, s.confidence]), [
+    ['swimming', 'openWater', true, 0.7],
+    ['running', 'generic', false, undefined],
+    ['cycling', 'generic', false, undefined],
+  ]);
+
+  // Moving the cut keeps the sport but not the detection confidence
+  assert.equal(buildSegmentsFromCuts(rideRecords, [350, 600], result)[0].confidence, undefined);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGpxFile, encodeTcxFile } from '../src/xml-export.js';
+import { getSportTypes } from '../src/fit-parser.js';
+import { sportLabels } from '../src/locales/en.js';
+import { buildActivity } from './fixtures.js';
+
+const parsedData = buildActivity({
+  legs: [
+    { sport: 'running', seconds: 60, speed: 3 },
+    { sport: 'cycling', seconds: 60, speed: 9 },
+  ],
+});
+const segments = [
+  { startRecordIndex: 0, endRecordIndex: 59, sport: 'running', subSport: 'generic' },
+  { startRecordIndex: 60, endRecordIndex: 119, sport: 'cycling', subSport: 'generic' },
+];
+
+test('GPX tracks and TCX notes are named with the given sport names', () => {
+  const sportTypes = getSportTypes(sportLabels);
+
+  const gpx = encodeGpxFile(parsedData, segments, { sportTypes });
+  assert.match(gpx, /<name>1\. Running<\/name>/);
+  assert.match(gpx, /<name>2\. Cycling<\/name>/);
+
+  const tcx = encodeTcxFile(parsedData, segments, { sportTypes });
+  assert.match(tcx, /<Notes>Running<\/Notes>/);
+});
+
+test('the exporters default to the Spanish sport names', () => {
+  assert.match(encodeGpxFile(parsedData, segments), /<name>1\. Carrera<\/name>/);
+});
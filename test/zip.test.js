@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../src/zip.js';
+
+const encoder = new TextEncoder();
+const DATE = new Date(2026, 4, 10, 8, 30, 42);
+
+/**
+ * Entries of a stored ZIP, read back from its central directory
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = bytes.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  assert.equal(offset + view.getUint32(endOffset + 12, true), endOffset);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const entry = {
+      name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      time: view.getUint16(offset + 12, true),
+      date: view.getUint16(offset + 14, true),
+      crc: view.getUint32(offset + 16, true),
+      size: view.getUint32(offset + 24, true),
+    };
+
+    // The local header repeats what the central directory says
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+    assert.equal(view.getUint32(localOffset + 14, true), entry.crc);
+    assert.equal(view.getUint32(localOffset + 22, true), entry.size);
+    assert.equal(view.getUint16(localOffset + 26, true), nameLength);
+    const dataStart = localOffset + 30 + nameLength;
+    entry.data = bytes.subarray(dataStart, dataStart + entry.size);
+
+    entries.push(entry);
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('createZip() stores each file with its CRC-32, size and UTF-8 name', () => {
+  const files = [
+    { name: 'actividad_1_running.fit', data: encoder.encode('123456789'), date: DATE },
+    { name: 'natación.fit', data: encoder.encode('The quick brown fox jumps over the lazy dog'), date: DATE },
+    { name: 'vacío.fit', data: new Uint8Array(0), date: DATE },
+  ];
+  // Check values of the standard CRC-32
+  const crcs = [0xcbf43926, 0x414fa339, 0];
+  const entries = readZip(createZip(files));
+
+  assert.deepEqual(entries.map((e) => e.name), files.map((f) => f.name));
+  entries.forEach((entry, i) => {
+    assert.equal(entry.method, 0);
+    assert.equal(entry.flags, 0x0800);
+    assert.equal(entry.crc, crcs[i]);
+    assert.deepEqual(entry.data, files[i].data);
+  });
+});
+
+test('createZip() writes the file dates in DOS format', () => {
+  const [entry] = readZip(createZip([{ name: 'a.fit', data: encoder.encode('a'), date: DATE }]));
+
+  assert.equal(entry.time, (8 << 11) | (30 << 5) | 21);
+  assert.equal(entry.date, ((2026 - 1980) << 9) | (5 << 5) | 10);
+});
+
+test('createZip() with no files is an empty archive', () => {
+  const bytes = createZip([]);
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes), []);
+});